@@ -0,0 +1,54 @@
+// admin.routes.js
+// Express routes for staff-only user management and operations. Every route requires a permission.
+
+const express = require('express');
+const adminService = require('../services/admin.service');
+const signingKeyService = require('../services/signing-key.service');
+const authenticate = require('../middleware/auth.middleware');
+const { authorize } = require('../middleware/authorize.middleware');
+const validate = require('../middleware/validate.middleware');
+const adminValidation = require('../validation/admin.validation');
+const { PERMISSIONS } = require('../config/roles');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// PUT /api/v1/admin/users/:id/roles - Replace a user's roles
+router.put('/users/:id/roles', authenticate, authorize(PERMISSIONS.USERS_MANAGE_ROLES), validate(adminValidation.setRoles), async (req, res, next) => {
+  try {
+    const user = await adminService.setUserRoles(req.params.id, req.body.roles, req.user.id);
+
+    logger.info({ event: 'admin_roles_updated', requestId: req.id, userId: req.user.id, targetUserId: req.params.id });
+
+    res.status(200).json({ status: 'success', data: user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/v1/admin/users/:id/status - Suspend, ban or reinstate a user
+router.put('/users/:id/status', authenticate, authorize(PERMISSIONS.USERS_MANAGE_STATUS), validate(adminValidation.setStatus), async (req, res, next) => {
+  try {
+    const user = await adminService.setUserStatus(req.params.id, req.body, req.user.id);
+
+    logger.info({ event: 'admin_status_updated', requestId: req.id, userId: req.user.id, targetUserId: req.params.id, state: req.body.state });
+
+    res.status(200).json({ status: 'success', data: user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/admin/keys/rotate - Replace the access-token signing key (RS256/ES256 only)
+// Tokens signed with the previous key stay valid until they expire.
+router.post('/keys/rotate', authenticate, authorize(PERMISSIONS.AUTH_KEYS_ROTATE), async (req, res, next) => {
+  try {
+    const key = await signingKeyService.rotateSigningKey(req.user.id);
+
+    res.status(200).json({ status: 'success', data: key });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,19 +2,46 @@
 // Express routes for authentication. Should be thin, delegating to the service layer.
 
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const authService = require('../services/auth.service');
+const accountService = require('../services/account.service');
+const dataExportService = require('../services/data-export.service');
+const personalTokenService = require('../services/personal-token.service');
+const oidcService = require('../services/oidc.service');
+const twoFactorService = require('../services/two-factor.service');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
+const config = require('../config/config');
 
 const validate = require('../middleware/validate.middleware');
 const authenticate = require('../middleware/auth.middleware');
-const uploadAvatar = require('../middleware/upload.middleware');
+const { uploadAvatar } = require('../middleware/upload.middleware');
 const storageUtils = require('../utils/storage'); // To handle cleanup
-const { register, login, updateProfile } = require('../validation/auth.validation');
+const { issueCsrfToken, setCsrfCookie, clearCsrfCookie, checkCsrf } = require('../utils/csrf');
+const {
+  register,
+  login,
+  tokenRefresh,
+  updateProfile,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  changePassword,
+  loginTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  deleteAccount,
+  restoreAccount,
+  getExport,
+  createPersonalToken,
+  revokePersonalToken,
+} = require('../validation/auth.validation');
 
 const router = express.Router();
 
-// Helper to set tokens as secure HttpOnly cookies
+// Helper to set tokens as secure HttpOnly cookies, plus the CSRF token bound to their session.
+// Returns the CSRF token so it can also be sent in the body (cross-origin frontends can't read the cookie).
 const setAuthCookies = (res, accessToken, refreshToken) => {
   const isProd = process.env.NODE_ENV === 'production';
   const accessExpiryMs = 15 * 60 * 1000; // 15 minutes
@@ -37,6 +64,11 @@ const setAuthCookies = (res, accessToken, refreshToken) => {
     sameSite: 'Lax', // More restrictive, better for high-security tokens
     path: '/api/v1' // Restrict to the refresh endpoint only
   });
+
+  const csrfToken = issueCsrfToken(jwt.decode(accessToken).sid);
+  setCsrfCookie(res, csrfToken);
+
+  return csrfToken;
 };
 
 // Helper to clear tokens on logout
@@ -55,6 +87,50 @@ const clearAuthCookies = (res) => {
     sameSite: 'Lax',
     path: '/api/v1',
   });
+  clearCsrfCookie(res);
+};
+
+// The OIDC state (state, nonce, PKCE verifier) survives the round trip to the provider in this cookie.
+// SameSite=Lax is required: the provider sends the browser back with a top-level GET.
+const OIDC_STATE_COOKIE = 'oidcState';
+const OIDC_COOKIE_PATH = '/api/v1/auth/oidc';
+
+const setOidcStateCookie = (res, stateToken) => {
+  res.cookie(OIDC_STATE_COOKIE, stateToken, {
+    maxAge: 10 * 60 * 1000, // 10 minutes, like the signed state itself
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'Lax',
+    path: OIDC_COOKIE_PATH,
+  });
+};
+
+// Helper to capture the client metadata stored on the login session record
+const getClientContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+});
+
+// Helper to build the response body for token-based clients (mobile apps, server-to-server jobs).
+// These clients send the access token as `Authorization: Bearer <jwt>` and keep the refresh token themselves.
+const sendTokenResponse = (res, user, accessToken, refreshToken) => {
+  res.status(200).json({
+    status: 'success',
+    tokenType: 'Bearer',
+    accessToken,
+    refreshToken,
+    user: { id: user._id, username: user.username, email: user.email },
+  });
+};
+
+// Helper to answer a password login that still needs the second factor (2FA users)
+const sendMfaChallenge = (res, mfaToken) => {
+  res.status(200).json({
+    status: 'success',
+    mfaRequired: true,
+    mfaToken,
+    message: 'Two-factor authentication required. Submit a code to complete the login.',
+  });
 };
 
 // POST /api/v1/auth/register
@@ -62,16 +138,17 @@ router.post('/register', validate(register), async (req, res, next) => {
   try {
     const { username, email, password } = req.body;
     
-    const { user, accessToken, refreshToken } = await authService.registerUser({ username, email, password });
+    const { user, accessToken, refreshToken } = await authService.registerUser({ username, email, password }, getClientContext(req));
 
-    setAuthCookies(res, accessToken, refreshToken);
+    const csrfToken = setAuthCookies(res, accessToken, refreshToken);
     
     logger.info({ event: 'user_registered', requestId: req.id, userId: user._id });
 
     // Respond with minimal user data, exclude sensitive fields
     res.status(201).json({ 
       status: 'success', 
-      user: { id: user._id, username: user.username, email: user.email } 
+      csrfToken,
+      user: { id: user._id, username: user.username, email: user.email, emailVerified: user.emailVerified } 
     });
   } catch (error) {
     next(error); // Pass to global error handler
@@ -83,14 +160,19 @@ router.post('/login', validate(login), async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    const { user, accessToken, refreshToken } = await authService.loginUser({ email, password });
+    const { user, accessToken, refreshToken, mfaRequired, mfaToken } = await authService.loginUser({ email, password }, getClientContext(req));
 
-    setAuthCookies(res, accessToken, refreshToken);
+    if (mfaRequired) {
+      return sendMfaChallenge(res, mfaToken);
+    }
+
+    const csrfToken = setAuthCookies(res, accessToken, refreshToken);
     
     logger.info({ event: 'user_logged_in', requestId: req.id, userId: user._id });
 
     res.status(200).json({ 
       status: 'success', 
+      csrfToken,
       user: { id: user._id, username: user.username, email: user.email } 
     });
   } catch (error) {
@@ -98,6 +180,25 @@ router.post('/login', validate(login), async (req, res, next) => {
   }
 });
 
+// POST /api/v1/auth/login/2fa - Second login step for 2FA users (sets cookies)
+router.post('/login/2fa', validate(loginTwoFactor), async (req, res, next) => {
+  try {
+    const { user, accessToken, refreshToken } = await authService.completeTwoFactorLogin(req.body, getClientContext(req));
+
+    const csrfToken = setAuthCookies(res, accessToken, refreshToken);
+
+    logger.info({ event: 'user_logged_in', requestId: req.id, userId: user._id, mfa: true });
+
+    res.status(200).json({
+      status: 'success',
+      csrfToken,
+      user: { id: user._id, username: user.username, email: user.email }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/v1/auth/refresh
 router.get('/refresh', async (req, res, next) => {
   try {
@@ -110,13 +211,14 @@ router.get('/refresh', async (req, res, next) => {
 
     const { user, accessToken, refreshToken: newRefreshToken } = await authService.refreshAuthTokens(refreshToken);
 
-    setAuthCookies(res, accessToken, newRefreshToken);
+    const csrfToken = setAuthCookies(res, accessToken, newRefreshToken);
     
     logger.info({ event: 'token_refreshed', requestId: req.id, userId: user._id });
 
     res.status(200).json({ 
       status: 'success', 
-      message: 'Access token refreshed.'
+      message: 'Access token refreshed.',
+      csrfToken
     });
 
   } catch (error) {
@@ -135,6 +237,15 @@ router.post('/logout', async (req, res, next) => {
   try {
     const refreshToken = req.cookies.refreshToken;
 
+    // Logout is a cookie-authenticated mutation too (a forged one would end the user's session)
+    if (refreshToken) {
+      const decoded = jwt.decode(refreshToken);
+      const csrfError = checkCsrf(req, decoded && decoded.sid);
+      if (csrfError) {
+        return next(csrfError);
+      }
+    }
+
     // Attempt to revoke the token's JTI
     await authService.logoutUser(refreshToken); 
     
@@ -153,6 +264,261 @@ router.post('/logout', async (req, res, next) => {
   }
 });
 
+// --- Token-based variants (no cookies) ---
+
+// POST /api/v1/auth/token - Log in and receive the tokens in the response body
+router.post('/token', validate(login), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const { user, accessToken, refreshToken, mfaRequired, mfaToken } = await authService.loginUser({ email, password }, getClientContext(req));
+
+    if (mfaRequired) {
+      return sendMfaChallenge(res, mfaToken);
+    }
+
+    logger.info({ event: 'user_logged_in', requestId: req.id, userId: user._id, authMethod: 'bearer' });
+
+    sendTokenResponse(res, user, accessToken, refreshToken);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/auth/token/2fa - Second login step for 2FA users (tokens in the body)
+router.post('/token/2fa', validate(loginTwoFactor), async (req, res, next) => {
+  try {
+    const { user, accessToken, refreshToken } = await authService.completeTwoFactorLogin(req.body, getClientContext(req));
+
+    logger.info({ event: 'user_logged_in', requestId: req.id, userId: user._id, authMethod: 'bearer', mfa: true });
+
+    sendTokenResponse(res, user, accessToken, refreshToken);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/auth/token/refresh - Rotate tokens using a refresh token sent in the body
+router.post('/token/refresh', validate(tokenRefresh), async (req, res, next) => {
+  try {
+    const { user, accessToken, refreshToken } = await authService.refreshAuthTokens(req.body.refreshToken);
+
+    logger.info({ event: 'token_refreshed', requestId: req.id, userId: user._id, authMethod: 'bearer' });
+
+    sendTokenResponse(res, user, accessToken, refreshToken);
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return next(new AppError('Invalid or expired refresh token. Please log in.', 401, 'AUTH_REFRESH_FAILED'));
+    }
+    next(error);
+  }
+});
+
+// POST /api/v1/auth/token/revoke - Log out a token-based client by revoking its refresh token
+router.post('/token/revoke', validate(tokenRefresh), async (req, res, next) => {
+  try {
+    await authService.logoutUser(req.body.refreshToken);
+
+    logger.info({ event: 'user_logged_out', requestId: req.id, authMethod: 'bearer' });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Refresh token revoked.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- Password Reset ---
+
+// POST /api/v1/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', validate(forgotPassword), async (req, res, next) => {
+  try {
+    await authService.requestPasswordReset(req.body.email);
+
+    // Same response whether or not the account exists (prevents enumeration)
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account with that email exists, a password reset link has been sent.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/auth/reset-password - Set a new password using the emailed token
+router.post('/reset-password', validate(resetPassword), async (req, res, next) => {
+  try {
+    await authService.resetPassword(req.body.token, req.body.password);
+
+    // Every session was revoked, including this browser's
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- Email Verification ---
+
+// POST /api/v1/auth/verify-email - Confirm an address using the token from the emailed link
+router.post('/verify-email', validate(verifyEmail), async (req, res, next) => {
+  try {
+    const user = await authService.verifyEmail(req.body.token);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email address verified.',
+      user: { id: user._id, username: user.username, email: user.email, emailVerified: user.emailVerified }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/auth/verify-email/resend - Send a fresh verification link (throttled)
+router.post('/verify-email/resend', authenticate, async (req, res, next) => {
+  try {
+    await authService.resendVerificationEmail(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- Two-Factor Authentication (TOTP) ---
+
+// POST /api/v1/auth/2fa/setup - Start enrolment: returns the secret and otpauth:// URI
+router.post('/2fa/setup', authenticate, async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await twoFactorService.startEnrollment(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: { secret, otpauthUri }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/auth/2fa/confirm - Confirm enrolment with a code; returns recovery codes ONCE
+router.post('/2fa/confirm', authenticate, validate(confirmTwoFactor), async (req, res, next) => {
+  try {
+    const { recoveryCodes } = await twoFactorService.confirmEnrollment(req.user.id, req.body.code);
+
+    logger.info({ event: 'user_2fa_enabled', requestId: req.id, userId: req.user.id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/auth/2fa/disable - Turn 2FA off (password + code or recovery code)
+router.post('/2fa/disable', authenticate, validate(disableTwoFactor), async (req, res, next) => {
+  try {
+    await twoFactorService.disableTwoFactor(req.user.id, req.body);
+
+    logger.info({ event: 'user_2fa_disabled', requestId: req.id, userId: req.user.id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- Session Management ---
+
+// GET /api/v1/auth/sessions - List the devices the user is logged in on
+router.get('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const sessions = await authService.listSessions(req.user.id, req.user.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/auth/sessions - Log out everywhere else (keeps the current session)
+router.delete('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const revokedCount = await authService.revokeOtherSessions(req.user.id, req.user.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'All other sessions have been logged out.',
+      revokedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/auth/sessions/:id - Revoke a single session (e.g., a lost device)
+router.delete('/sessions/:id', authenticate, validate(revokeSession), async (req, res, next) => {
+  try {
+    await authService.revokeSession(req.user.id, req.params.id);
+
+    // Revoking the session we're using is a logout for cookie clients
+    if (req.params.id === String(req.user.sessionId) && req.user.authMethod === 'cookie') {
+      clearAuthCookies(res);
+    }
+
+    res.status(204).json({ status: 'success', data: null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/v1/auth/password - Change the password (requires the current one)
+router.put('/password', authenticate, validate(changePassword), async (req, res, next) => {
+  try {
+    const { user, accessToken, refreshToken } = await authService.changePassword(req.user.id, req.body, {
+      sessionId: req.user.sessionId,
+      context: getClientContext(req),
+    });
+
+    logger.info({ event: 'user_password_changed', requestId: req.id, userId: user._id });
+
+    // The old tokens were invalidated by the change: hand this client a fresh pair
+    if (req.user.authMethod === 'bearer') {
+      return sendTokenResponse(res, user, accessToken, refreshToken);
+    }
+
+    const csrfToken = setAuthCookies(res, accessToken, refreshToken);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password changed. All other sessions have been logged out.',
+      csrfToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // NEW: PUT /api/v1/auth/profile - Update user profile
 // Requires authentication and validation
 router.put('/profile', authenticate, validate(updateProfile), async (req, res, next) => {
@@ -213,4 +579,195 @@ router.put('/avatar', authenticate, uploadAvatar, async (req, res, next) => {
   }
 });
 
+// DELETE /api/v1/auth/account - Delete the account (password re-confirmation required)
+// With a grace period configured, the account is deactivated now and purged later.
+router.delete('/account', authenticate, validate(deleteAccount), async (req, res, next) => {
+  try {
+    const { scheduledFor } = await accountService.requestAccountDeletion(req.user.id, req.body.password);
+
+    logger.info({ event: 'user_account_deletion_requested', requestId: req.id, userId: req.user.id });
+
+    // Every session is gone either way
+    if (req.user.authMethod === 'cookie') {
+      clearAuthCookies(res);
+    }
+
+    if (!scheduledFor) {
+      return res.status(204).json({ status: 'success', data: null });
+    }
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Account scheduled for deletion. Log in is disabled until you restore it.',
+      scheduledFor,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/auth/account/restore - Cancel a pending deletion during the grace period
+router.post('/account/restore', validate(restoreAccount), async (req, res, next) => {
+  try {
+    const user = await accountService.restoreAccount(req.body);
+
+    logger.info({ event: 'user_account_restored', requestId: req.id, userId: user._id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account restored. You can log in again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/auth/export - Request an archive of all personal data (built in the background)
+router.post('/export', authenticate, async (req, res, next) => {
+  try {
+    const dataExport = await dataExportService.requestExport(req.user.id);
+
+    logger.info({ event: 'user_data_export_requested', requestId: req.id, userId: req.user.id, exportId: dataExport._id });
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Your data export is being prepared. Poll its status to get the download link.',
+      data: { id: dataExport._id, status: dataExport.status }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/auth/export/:id - Export status; includes a short-lived download link when ready
+router.get('/export/:id', authenticate, validate(getExport), async (req, res, next) => {
+  try {
+    const dataExport = await dataExportService.getExport(req.user.id, req.params.id);
+
+    res.status(200).json({ status: 'success', data: dataExport });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/auth/tokens - List the user's personal access tokens
+router.get('/tokens', authenticate, async (req, res, next) => {
+  try {
+    const tokens = await personalTokenService.listTokens(req.user.id);
+
+    res.status(200).json({ status: 'success', data: tokens });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/auth/tokens - Create a scoped personal access token (the value is shown once)
+router.post('/tokens', authenticate, validate(createPersonalToken), async (req, res, next) => {
+  try {
+    const token = await personalTokenService.createToken(req.user.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Copy this token now. It will not be shown again.',
+      data: token
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/auth/tokens/:id - Revoke a personal access token
+router.delete('/tokens/:id', authenticate, validate(revokePersonalToken), async (req, res, next) => {
+  try {
+    await personalTokenService.revokeToken(req.user.id, req.params.id);
+
+    res.status(204).json({ status: 'success', data: null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/auth/oidc/login - Start a login with the external OpenID Connect provider
+// Browser navigation: redirects to the provider, which sends the user back to /oidc/callback.
+router.get('/oidc/login', async (req, res, next) => {
+  try {
+    const { authorizationUrl, stateToken } = await oidcService.createAuthorizationRequest({ mode: 'login' });
+
+    setOidcStateCookie(res, stateToken);
+    res.redirect(302, authorizationUrl);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/auth/oidc/link - Start linking the provider to the logged-in account
+// Returns the URL to open (the call itself comes from an authenticated XHR, not a navigation).
+router.post('/oidc/link', authenticate, async (req, res, next) => {
+  try {
+    const { authorizationUrl, stateToken } = await oidcService.createAuthorizationRequest({
+      mode: 'link',
+      userId: req.user.id,
+    });
+
+    setOidcStateCookie(res, stateToken);
+    res.status(200).json({ status: 'success', authorizationUrl });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/auth/oidc/callback - The provider redirects here with ?code&state
+// This is a browser navigation, so outcomes (including expected errors) are redirects to the client.
+router.get('/oidc/callback', async (req, res, next) => {
+  const stateToken = req.cookies && req.cookies[OIDC_STATE_COOKIE];
+  res.clearCookie(OIDC_STATE_COOKIE, { path: OIDC_COOKIE_PATH }); // Single use
+
+  try {
+    const result = await oidcService.handleCallback(req.query, stateToken, getClientContext(req));
+
+    if (result.mode === 'link') {
+      return res.redirect(302, `${config.clientUrl}/settings/security?linked=1`);
+    }
+
+    // The fragment never reaches a server log
+    if (result.mfaRequired) {
+      return res.redirect(302, `${config.clientUrl}/login/2fa#mfaToken=${encodeURIComponent(result.mfaToken)}`);
+    }
+
+    setAuthCookies(res, result.accessToken, result.refreshToken);
+
+    logger.info({ event: 'user_logged_in', requestId: req.id, userId: result.user._id, authMethod: 'oidc' });
+
+    res.redirect(302, `${config.clientUrl}/`);
+  } catch (error) {
+    if (error instanceof AppError) {
+      logger.warn({ event: 'oidc_callback_failed', requestId: req.id, code: error.code });
+      return res.redirect(302, `${config.clientUrl}/login?error=${encodeURIComponent(error.code)}`);
+    }
+    next(error);
+  }
+});
+
+// GET /api/v1/auth/oidc/identities - External accounts linked to the logged-in user
+router.get('/oidc/identities', authenticate, async (req, res, next) => {
+  try {
+    const identities = await oidcService.listIdentities(req.user.id);
+
+    res.status(200).json({ status: 'success', data: identities });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/auth/oidc/link - Unlink the provider from the logged-in account
+router.delete('/oidc/link', authenticate, async (req, res, next) => {
+  try {
+    await oidcService.unlinkIdentity(req.user.id);
+
+    res.status(204).json({ status: 'success', data: null });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
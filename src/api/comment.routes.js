@@ -4,6 +4,12 @@
 const express = require('express');
 const commentService = require('../services/comment.service');
 const authenticate = require('../middleware/auth.middleware');
+const optionalAuthenticate = require('../middleware/optional-auth.middleware');
+const requireVerifiedEmail = require('../middleware/verified-email.middleware');
+const requireScope = require('../middleware/scope.middleware');
+const { authorizeOwnerOr } = require('../middleware/authorize.middleware');
+const { PERMISSIONS } = require('../config/roles');
+const { SCOPES } = require('../config/scopes');
 const validate = require('../middleware/validate.middleware');
 const commentValidation = require('../validation/comment.validation');
 const AppError = require('../utils/AppError');
@@ -11,47 +17,34 @@ const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Middleware to check if the authenticated user is the author of the comment
-const checkCommentOwnership = async (req, res, next) => {
-  try {
-    const commentId = req.params.commentId;
-    
-    // We only need the author's ID
-    const comment = await commentService.getCommentById(commentId); // NOTE: We'll add this simple fetch to the service
+// Loader for the ownership policy: only the author ID is needed
+const loadComment = async (req) => {
+  const commentId = req.params.commentId;
+  const comment = await commentService.getCommentById(commentId);
 
-    if (!comment) {
-      return next(new AppError(`Comment with ID ${commentId} not found.`, 404, 'COMMENT_NOT_FOUND'));
-    }
-    
-    // Ensure the retrieved comment's author ID matches the authenticated user ID
-    if (comment.author.id.toString() !== req.user.id.toString()) {
-      logger.warn({ 
-        event: 'authz_failed', 
-        requestId: req.id, 
-        userId: req.user.id, 
-        commentId, 
-        reason: 'Not owner' 
-      });
-      return next(new AppError('Forbidden: You do not own this comment.', 403, 'AUTHZ_FORBIDDEN'));
-    }
-
-    req.comment = comment; // Attach for potential use
-    next();
-  } catch (error) {
-    next(error);
+  if (!comment) {
+    throw new AppError(`Comment with ID ${commentId} not found.`, 404, 'COMMENT_NOT_FOUND');
   }
+
+  return comment;
 };
 
+// Authorization policy: the author may modify their comment, staff with the given permission may too
+const checkCommentOwnership = (permission) => authorizeOwnerOr({
+  load: loadComment,
+  permission,
+  resourceName: 'comment',
+});
 
 // --- Routes ---
 // NOTE: We structure the API path to imply nesting: /api/v1/posts/:postId/comments
 
-// 1. GET /api/v1/comments/:postId - Get all comments for a post
-router.get('/post/:postId', validate(commentValidation.getComments), async (req, res, next) => {
+// 1. GET /api/v1/comments/:postId - Get all comments for a post (404 if the reader can't see the post)
+router.get('/post/:postId', requireScope(SCOPES.COMMENTS_READ), optionalAuthenticate, validate(commentValidation.getComments), async (req, res, next) => {
   try {
     const { postId } = req.params;
     // We pass req.query for future pagination support
-    const comments = await commentService.getCommentsForPost(postId, req.query); 
+    const comments = await commentService.getCommentsForPost(postId, req.query, req.user); 
     
     res.status(200).json({ 
       status: 'success', 
@@ -64,7 +57,7 @@ router.get('/post/:postId', validate(commentValidation.getComments), async (req,
 });
 
 // 2. POST /api/v1/comments/post/:postId - Create a new comment (Requires auth)
-router.post('/post/:postId', authenticate, validate(commentValidation.createComment), async (req, res, next) => {
+router.post('/post/:postId', requireScope(SCOPES.COMMENTS_WRITE), authenticate, requireVerifiedEmail, validate(commentValidation.createComment), async (req, res, next) => {
   try {
     const { postId } = req.params;
     const { content } = req.body;
@@ -84,8 +77,8 @@ router.post('/post/:postId', authenticate, validate(commentValidation.createComm
   }
 });
 
-// 3. PUT /api/v1/comments/:commentId - Update a comment (Requires auth AND ownership)
-router.put('/:commentId', authenticate, validate(commentValidation.updateComment), checkCommentOwnership, async (req, res, next) => {
+// 3. PUT /api/v1/comments/:commentId - Update a comment (Requires auth AND ownership or comments:update:any)
+router.put('/:commentId', requireScope(SCOPES.COMMENTS_WRITE), authenticate, validate(commentValidation.updateComment), checkCommentOwnership(PERMISSIONS.COMMENTS_UPDATE_ANY), async (req, res, next) => {
   try {
     const { commentId } = req.params;
     const { content } = req.body;
@@ -100,10 +93,10 @@ router.put('/:commentId', authenticate, validate(commentValidation.updateComment
   }
 });
 
-// 4. DELETE /api/v1/comments/:commentId - Delete a comment (Requires auth AND ownership)
-router.delete('/:commentId', authenticate, validate(commentValidation.deleteComment), checkCommentOwnership, async (req, res, next) => {
+// 4. DELETE /api/v1/comments/:commentId - Move a comment to the trash (Requires auth AND ownership or comments:delete:any)
+router.delete('/:commentId', requireScope(SCOPES.COMMENTS_WRITE), authenticate, validate(commentValidation.deleteComment), checkCommentOwnership(PERMISSIONS.COMMENTS_DELETE_ANY), async (req, res, next) => {
   try {
-    await commentService.deleteComment(req.params.commentId);
+    await commentService.deleteComment(req.params.commentId, req.user.id);
 
     logger.info({ event: 'comment_deleted', requestId: req.id, userId: req.user.id, commentId: req.params.commentId });
 
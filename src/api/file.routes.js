@@ -0,0 +1,29 @@
+// file.routes.js
+// Serves private files through signed, expiring links (see utils/storage.js).
+// In production, clients would be sent straight to the storage provider's presigned URL.
+
+const express = require('express');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const storageUtils = require('../utils/storage');
+
+const router = express.Router();
+
+// GET /api/v1/files/download?key=&expires=&signature= - No auth: the signature is the credential
+router.get('/download', (req, res, next) => {
+  const filePath = storageUtils.resolveSignedDownload(req.query);
+  if (!filePath) {
+    return next(new AppError('This download link is invalid or has expired.', 403, 'DOWNLOAD_LINK_INVALID'));
+  }
+
+  logger.info({ event: 'file_download', requestId: req.id, fileKey: req.query.key });
+
+  res.set('Cache-Control', 'private, no-store');
+  res.download(filePath, (error) => {
+    if (error && !res.headersSent) {
+      next(error.code === 'ENOENT' ? new AppError('File not found.', 404, 'FILE_NOT_FOUND') : error);
+    }
+  });
+});
+
+module.exports = router;
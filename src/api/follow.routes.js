@@ -0,0 +1,77 @@
+// follow.routes.js
+// Express routes for following users and answering follow requests (session users only: no
+// personal access token scope).
+
+const express = require('express');
+const followService = require('../services/follow.service');
+const authenticate = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const followValidation = require('../validation/follow.validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// GET /api/v1/follows/requests - Pending requests to follow the current user
+router.get('/requests', authenticate, async (req, res, next) => {
+  try {
+    const requests = await followService.getFollowRequests(req.user.id);
+
+    res.status(200).json({ status: 'success', results: requests.length, data: requests });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/v1/follows/followers/:userId - Accept a user's request to follow the current user
+router.put('/followers/:userId', authenticate, validate(followValidation.acceptFollower), async (req, res, next) => {
+  try {
+    await followService.acceptFollower(req.user.id, req.params.userId);
+
+    logger.info({ event: 'follower_accepted', requestId: req.id, userId: req.user.id, followerId: req.params.userId });
+
+    res.status(200).json({ status: 'success', data: { follower: req.params.userId, status: 'accepted' } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/follows/followers/:userId - Remove a follower of the current user (or decline their request)
+router.delete('/followers/:userId', authenticate, validate(followValidation.removeFollower), async (req, res, next) => {
+  try {
+    await followService.removeFollower(req.user.id, req.params.userId);
+
+    logger.info({ event: 'follower_removed', requestId: req.id, userId: req.user.id, followerId: req.params.userId });
+
+    res.status(204).json({ status: 'success', data: null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/v1/follows/:userId - Ask to follow a user (pending until they accept)
+router.put('/:userId', authenticate, validate(followValidation.followUser), async (req, res, next) => {
+  try {
+    const status = await followService.followUser(req.user.id, req.params.userId);
+
+    logger.info({ event: 'user_followed', requestId: req.id, userId: req.user.id, followingId: req.params.userId, status });
+
+    res.status(200).json({ status: 'success', data: { following: req.params.userId, status } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/follows/:userId - Unfollow a user (or withdraw a pending request)
+router.delete('/:userId', authenticate, validate(followValidation.unfollowUser), async (req, res, next) => {
+  try {
+    await followService.unfollowUser(req.user.id, req.params.userId);
+
+    logger.info({ event: 'user_unfollowed', requestId: req.id, userId: req.user.id, followingId: req.params.userId });
+
+    res.status(204).json({ status: 'success', data: null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
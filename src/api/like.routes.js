@@ -4,6 +4,8 @@
 const express = require('express');
 const likeService = require('../services/like.service');
 const authenticate = require('../middleware/auth.middleware');
+const requireScope = require('../middleware/scope.middleware');
+const { SCOPES } = require('../config/scopes');
 const validate = require('../middleware/validate.middleware');
 const likeValidation = require('../validation/like.validation');
 const logger = require('../utils/logger');
@@ -11,7 +13,7 @@ const logger = require('../utils/logger');
 const router = express.Router();
 
 // POST /api/v1/likes - Like a resource (Post or Comment)
-router.post('/', authenticate, validate(likeValidation.likeUnlike), async (req, res, next) => {
+router.post('/', requireScope(SCOPES.LIKES_WRITE), authenticate, validate(likeValidation.likeUnlike), async (req, res, next) => {
   try {
     const { resourceId, onModel } = req.body;
     
@@ -38,7 +40,7 @@ router.post('/', authenticate, validate(likeValidation.likeUnlike), async (req,
 
 // DELETE /api/v1/likes - Unlike a resource (Post or Comment)
 // We use DELETE with a body to clearly identify the unique resource being deleted.
-router.delete('/', authenticate, validate(likeValidation.likeUnlike), async (req, res, next) => {
+router.delete('/', requireScope(SCOPES.LIKES_WRITE), authenticate, validate(likeValidation.likeUnlike), async (req, res, next) => {
   try {
     const { resourceId, onModel } = req.body;
     
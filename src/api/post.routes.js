@@ -3,51 +3,43 @@
 
 const express = require('express');
 const postService = require('../services/post.service');
+const postRevisionService = require('../services/post-revision.service');
+const postAttachmentService = require('../services/post-attachment.service');
 const authenticate = require('../middleware/auth.middleware');
+const optionalAuthenticate = require('../middleware/optional-auth.middleware');
+const requireVerifiedEmail = require('../middleware/verified-email.middleware');
+const requireScope = require('../middleware/scope.middleware');
+const { uploadPostImages, discardUploadsOnError } = require('../middleware/upload.middleware');
+const { authorizeOwnerOr } = require('../middleware/authorize.middleware');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { SCOPES } = require('../config/scopes');
 const logger = require('../utils/logger');
-const AppError = require('../utils/AppError');
 
 const validate = require('../middleware/validate.middleware');
 const postValidation = require('../validation/post.validation');
 
 const router = express.Router();
 
-// Middleware to check if the authenticated user is the author of the post
-// This is our first example of **Composable Authorization Middleware**
-const checkPostOwnership = async (req, res, next) => {
-  try {
-    const postId = req.params.id;
-    // We only need the author's ID, so select only that field for efficiency
-    const post = await postService.getPostById(postId);
-
-    // Convert ObjectIds to strings for safe comparison
-    if (post.author.id.toString() !== req.user.id.toString()) {
-      logger.warn({ 
-        event: 'authz_failed', 
-        requestId: req.id, 
-        userId: req.user.id, 
-        postId, 
-        reason: 'Not owner' 
-      });
-      // Use 403 Forbidden for authorization failure
-      return next(new AppError('Forbidden: You do not own this post.', 403, 'AUTHZ_FORBIDDEN'));
-    }
-
-    // Attach the post object to the request for the controller to use (optimization)
-    req.post = post;
-    next();
-  } catch (error) {
-    next(error);
-  }
-};
+// Authorization policy: the author may modify their post, staff with the given permission may too.
+// This is our example of **Composable Authorization Middleware** (see authorize.middleware.js)
+// Staff see past visibility and publication status; anyone else gets a 404 for a post they can't read.
+const checkPostOwnership = (permission) => authorizeOwnerOr({
+  load: req => (hasPermission(req.user.roles, permission)
+    ? postService.getPostForModeration(req.params.id)
+    : postService.getPostById(req.params.id, req.user)),
+  permission,
+  resourceName: 'post',
+});
 
 // --- Routes ---
 
-// GET /api/v1/posts - The feed (Now paginated)
-router.get('/', validate(postValidation.getPosts), async (req, res, next) => {
+// GET /api/v1/posts - The feed (cursor-paginated with `cursor=`; otherwise page-based, as older clients expect)
+// Anonymous readers get public posts; signed-in readers also their own and followers-only ones.
+router.get('/', requireScope(SCOPES.POSTS_READ), optionalAuthenticate, validate(postValidation.getPosts), async (req, res, next) => {
   try {
-    // req.query is now validated and sanitized (page, limit, authorId)
-    const { posts, ...pagination } = await postService.getPosts(req.query);
+    // req.query is now validated and sanitized (cursor/page, limit, authorId, includeTotal)
+    // With cursors, `includeTotal` adds `totalResults`, counted up to 1000 (`totalIsEstimate` once capped)
+    const { posts, ...pagination } = await postService.getPosts(req.query, req.user);
     
     res.status(200).json({ 
       status: 'success', 
@@ -60,16 +52,30 @@ router.get('/', validate(postValidation.getPosts), async (req, res, next) => {
 });
 
 // POST /api/v1/posts - Create a new post (Requires auth and validation)
-router.post('/', authenticate, validate(postValidation.createPost), async (req, res, next) => {
+// Send multipart/form-data with `images` files (and `alt[i]` texts) to attach images.
+router.post('/', requireScope(SCOPES.POSTS_WRITE), authenticate, requireVerifiedEmail, uploadPostImages, validate(postValidation.createPost), async (req, res, next) => {
   try {
-    const { title, content } = req.body;
-    
-    const post = await postService.createPost({
-      title,
-      content,
-      authorId: req.user.id,
-      authorUsername: req.user.username,
-    });
+    const { title, content, status, publishAt, visibility, alt } = req.body;
+
+    const attachments = await postAttachmentService.storeImages(req.files, alt);
+
+    let post;
+    try {
+      post = await postService.createPost({
+        title,
+        content,
+        status,
+        publishAt,
+        visibility,
+        attachments,
+        authorId: req.user.id,
+        authorUsername: req.user.username,
+      });
+    } catch (error) {
+      // The post was never saved, so nothing references the stored images
+      await postAttachmentService.deleteAttachmentFiles(attachments);
+      throw error;
+    }
     
     logger.info({ event: 'post_created', requestId: req.id, userId: req.user.id, postId: post._id });
 
@@ -80,24 +86,39 @@ router.post('/', authenticate, validate(postValidation.createPost), async (req,
   }
 });
 
-// GET /api/v1/posts/:id - Get a specific post
+// GET /api/v1/posts/drafts - The current user's drafts and scheduled posts
+router.get('/drafts', requireScope(SCOPES.POSTS_READ), authenticate, validate(postValidation.getDrafts), async (req, res, next) => {
+  try {
+    const { posts, ...pagination } = await postService.getDrafts(req.user.id, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      ...pagination,
+      data: posts,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/posts/:id - Get a specific post (per its visibility; authors can also fetch their unpublished posts)
 // Add validation for the ID parameter
-router.get('/:id', validate(postValidation.getPost), async (req, res, next) => {
+router.get('/:id', requireScope(SCOPES.POSTS_READ), optionalAuthenticate, validate(postValidation.getPost), async (req, res, next) => {
   try {
     // The validate middleware now guarantees req.params.id is a valid ObjectId format
-    const post = await postService.getPostById(req.params.id);
+    const post = await postService.getPostById(req.params.id, req.user);
     res.status(200).json({ status: 'success', data: post });
   } catch (error) {
     next(error);
   }
 });
 
-// PUT /api/v1/posts/:id - Update a post (Requires auth AND ownership)
-router.put('/:id', authenticate, checkPostOwnership, validate(postValidation.updatePost), async (req, res, next) => {
+// PUT /api/v1/posts/:id - Update a post (Requires auth AND ownership or posts:update:any)
+router.put('/:id', requireScope(SCOPES.POSTS_WRITE), authenticate, checkPostOwnership(PERMISSIONS.POSTS_UPDATE_ANY), validate(postValidation.updatePost), async (req, res, next) => {
   try {
     const updateBody = req.body; 
 
-    const post = await postService.updatePost(req.params.id, updateBody);
+    const post = await postService.updatePost(req.params.id, updateBody, req.user);
 
     logger.info({ event: 'post_updated', requestId: req.id, userId: req.user.id, postId: post._id });
 
@@ -107,11 +128,85 @@ router.put('/:id', authenticate, checkPostOwnership, validate(postValidation.upd
   }
 });
 
-// DELETE /api/v1/posts/:id - Delete a post 
+// GET /api/v1/posts/:id/revisions - Edit history, newest first (`before` pages further back)
+router.get('/:id/revisions', requireScope(SCOPES.POSTS_READ), optionalAuthenticate, validate(postValidation.listRevisions), async (req, res, next) => {
+  try {
+    const { revisions, ...pagination } = await postRevisionService.listRevisions(req.params.id, req.user, req.query);
+
+    res.status(200).json({ status: 'success', ...pagination, data: revisions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/posts/:id/revisions/diff?from=&to= - Word-level changes between two revisions
+router.get('/:id/revisions/diff', requireScope(SCOPES.POSTS_READ), optionalAuthenticate, validate(postValidation.diffRevisions), async (req, res, next) => {
+  try {
+    const diff = await postRevisionService.diffRevisions(req.params.id, req.user, req.query);
+
+    res.status(200).json({ status: 'success', data: diff });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/posts/:id/revisions/:revision/restore - Make an earlier revision current (same policy as editing)
+router.post('/:id/revisions/:revision/restore', requireScope(SCOPES.POSTS_WRITE), authenticate, validate(postValidation.restoreRevision), checkPostOwnership(PERMISSIONS.POSTS_UPDATE_ANY), async (req, res, next) => {
+  try {
+    const post = await postRevisionService.restoreRevision(req.params.id, req.params.revision, req.user);
+
+    logger.info({ event: 'post_revision_restored', requestId: req.id, userId: req.user.id, postId: post._id, revision: req.params.revision });
+
+    res.status(200).json({ status: 'success', data: post });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/posts/:id/attachments - Attach more images (multipart/form-data: `images`, `alt[i]`)
+router.post('/:id/attachments', requireScope(SCOPES.POSTS_WRITE), authenticate, checkPostOwnership(PERMISSIONS.POSTS_UPDATE_ANY), uploadPostImages, validate(postValidation.addAttachments), async (req, res, next) => {
+  try {
+    const post = await postAttachmentService.addAttachments(req.params.id, req.files, req.body.alt);
+
+    logger.info({ event: 'post_attachments_added', requestId: req.id, userId: req.user.id, postId: post._id, count: req.files.length });
+
+    res.status(201).json({ status: 'success', data: post });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/v1/posts/:id/attachments - Reorder attachments, change alt text, remove the ones left out
+router.put('/:id/attachments', requireScope(SCOPES.POSTS_WRITE), authenticate, validate(postValidation.updateAttachments), checkPostOwnership(PERMISSIONS.POSTS_UPDATE_ANY), async (req, res, next) => {
+  try {
+    const post = await postAttachmentService.updateAttachments(req.params.id, req.body.attachments);
+
+    logger.info({ event: 'post_attachments_updated', requestId: req.id, userId: req.user.id, postId: post._id });
+
+    res.status(200).json({ status: 'success', data: post });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/posts/:id/attachments/:attachmentId - Remove one attachment
+router.delete('/:id/attachments/:attachmentId', requireScope(SCOPES.POSTS_WRITE), authenticate, validate(postValidation.removeAttachment), checkPostOwnership(PERMISSIONS.POSTS_UPDATE_ANY), async (req, res, next) => {
+  try {
+    await postAttachmentService.removeAttachment(req.params.id, req.params.attachmentId);
+
+    logger.info({ event: 'post_attachment_removed', requestId: req.id, userId: req.user.id, postId: req.params.id, attachmentId: req.params.attachmentId });
+
+    res.status(204).json({ status: 'success', data: null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/posts/:id - Move a post to the trash (Requires auth AND ownership or posts:delete:any)
 // Add validation for the ID parameter
-router.delete('/:id', authenticate, checkPostOwnership, validate(postValidation.getPost), async (req, res, next) => {
+router.delete('/:id', requireScope(SCOPES.POSTS_WRITE), authenticate, checkPostOwnership(PERMISSIONS.POSTS_DELETE_ANY), validate(postValidation.getPost), async (req, res, next) => {
   try {
-    await postService.deletePost(req.params.id);
+    await postService.deletePost(req.params.id, req.user.id);
 
     logger.info({ event: 'post_deleted', requestId: req.id, userId: req.user.id, postId: req.params.id });
 
@@ -122,4 +217,7 @@ router.delete('/:id', authenticate, checkPostOwnership, validate(postValidation.
   }
 });
 
+// Uploads staged for a request that failed are removed before the global error handler runs
+router.use(discardUploadsOnError);
+
 module.exports = router;
@@ -0,0 +1,30 @@
+// search.routes.js
+// Express routes for full-text search. Delegates logic to search.service.js.
+
+const express = require('express');
+const searchService = require('../services/search.service');
+const optionalAuthenticate = require('../middleware/optional-auth.middleware');
+const requireScope = require('../middleware/scope.middleware');
+const { SCOPES } = require('../config/scopes');
+const validate = require('../middleware/validate.middleware');
+const searchValidation = require('../validation/search.validation');
+
+const router = express.Router();
+
+// GET /api/v1/search?q= - Search the posts and comments the reader may see, most relevant first
+router.get('/', requireScope(SCOPES.POSTS_READ), optionalAuthenticate, validate(searchValidation.search), async (req, res, next) => {
+  try {
+    const { results, ...pagination } = await searchService.search(req.query, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      query: req.query.q,
+      ...pagination,
+      data: results,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// tag.routes.js
+// Express routes for hashtags. Tags are stored on the posts (see post.service.js).
+
+const express = require('express');
+const postService = require('../services/post.service');
+const optionalAuthenticate = require('../middleware/optional-auth.middleware');
+const requireScope = require('../middleware/scope.middleware');
+const { SCOPES } = require('../config/scopes');
+const validate = require('../middleware/validate.middleware');
+const tagValidation = require('../validation/tag.validation');
+
+const router = express.Router();
+
+// GET /api/v1/tags/:tag - How many public posts use the tag
+router.get('/:tag', validate(tagValidation.getTag), async (req, res, next) => {
+  try {
+    const { tag } = req.params; // Normalized by the validator
+    const postCount = await postService.countPostsWithTag(tag);
+
+    res.status(200).json({ status: 'success', data: { tag, postCount } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/tags/:tag/posts - Posts with the tag, newest first (cursor-paginated and filtered by visibility like the feed)
+router.get('/:tag/posts', requireScope(SCOPES.POSTS_READ), optionalAuthenticate, validate(tagValidation.getTagPosts), async (req, res, next) => {
+  try {
+    const { posts, ...pagination } = await postService.getPosts({ ...req.query, tag: req.params.tag }, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      tag: req.params.tag,
+      ...pagination,
+      data: posts,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
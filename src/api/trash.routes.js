@@ -0,0 +1,81 @@
+// trash.routes.js
+// Express routes for the current user's trash (soft-deleted posts and comments).
+
+const express = require('express');
+const trashService = require('../services/trash.service');
+const postService = require('../services/post.service');
+const commentService = require('../services/comment.service');
+const authenticate = require('../middleware/auth.middleware');
+const requireScope = require('../middleware/scope.middleware');
+const { authorizeOwnerOr } = require('../middleware/authorize.middleware');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { SCOPES } = require('../config/scopes');
+const validate = require('../middleware/validate.middleware');
+const trashValidation = require('../validation/trash.validation');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Authorization policy: the author may restore their post/comment, staff who may delete any may too
+const checkTrashedPostOwnership = authorizeOwnerOr({
+  load: req => postService.getTrashedPost(req.params.id),
+  permission: PERMISSIONS.POSTS_DELETE_ANY,
+  resourceName: 'post',
+});
+
+const checkTrashedCommentOwnership = authorizeOwnerOr({
+  load: req => commentService.getTrashedComment(req.params.commentId),
+  permission: PERMISSIONS.COMMENTS_DELETE_ANY,
+  resourceName: 'comment',
+});
+
+// Middleware factory: content removed by staff stays removed unless staff restore it
+const checkNotRemovedByStaff = (resourceName, permission) => (req, res, next) => {
+  const item = req[resourceName];
+  const removedByStaff = String(item.deletedBy) !== String(item.author.id);
+
+  if (removedByStaff && !hasPermission(req.user.roles, permission)) {
+    return next(new AppError(`This ${resourceName} was removed by a moderator and cannot be restored.`, 403, 'AUTHZ_FORBIDDEN'));
+  }
+  next();
+};
+
+// GET /api/v1/trash?type=posts|comments - What the user deleted and can still restore
+router.get('/', authenticate, validate(trashValidation.listTrash), async (req, res, next) => {
+  try {
+    const { items, ...pagination } = await trashService.listTrash(req.user.id, req.query);
+
+    res.status(200).json({ status: 'success', ...pagination, data: items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/trash/posts/:id/restore - Restore a post (and the comments deleted with it)
+router.post('/posts/:id/restore', requireScope(SCOPES.POSTS_WRITE), authenticate, validate(trashValidation.restorePost), checkTrashedPostOwnership, checkNotRemovedByStaff('post', PERMISSIONS.POSTS_DELETE_ANY), async (req, res, next) => {
+  try {
+    const post = await postService.restorePost(req.params.id);
+
+    logger.info({ event: 'post_restored', requestId: req.id, userId: req.user.id, postId: post._id });
+
+    res.status(200).json({ status: 'success', data: post });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/trash/comments/:commentId/restore - Restore a comment (its post must not be deleted)
+router.post('/comments/:commentId/restore', requireScope(SCOPES.COMMENTS_WRITE), authenticate, validate(trashValidation.restoreComment), checkTrashedCommentOwnership, checkNotRemovedByStaff('comment', PERMISSIONS.COMMENTS_DELETE_ANY), async (req, res, next) => {
+  try {
+    const comment = await commentService.restoreComment(req.params.commentId);
+
+    logger.info({ event: 'comment_restored', requestId: req.id, userId: req.user.id, commentId: comment._id });
+
+    res.status(200).json({ status: 'success', data: comment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
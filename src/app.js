@@ -16,12 +16,20 @@ const swaggerUi = require('swagger-ui-express');
 const YAML = require('yamljs'); 
 
 const rateLimiter = require('./middleware/rate-limiter'); 
+const signingKeyService = require('./services/signing-key.service');
 
 // Import routes
 const authRoutes = require('./api/auth.routes');
 const postRoutes = require('./api/post.routes'); 
 const commentRoutes = require('./api/comment.routes'); 
 const likeRoutes = require('./api/like.routes'); 
+const adminRoutes = require('./api/admin.routes');
+const fileRoutes = require('./api/file.routes');
+const searchRoutes = require('./api/search.routes');
+const tagRoutes = require('./api/tag.routes');
+const trashRoutes = require('./api/trash.routes');
+const followRoutes = require('./api/follow.routes');
+
 const app = express();
 
 // Load the OpenAPI specification file
@@ -44,17 +52,16 @@ app.use(helmet({
   referrerPolicy: { policy: 'same-origin' }
 }));
 
-// 2. CORS: Set up based on environment. 
-// In production, MUST whitelist specific frontend origins.
+// 2. CORS: Only whitelisted frontend origins may make credentialed (cookie) requests.
+// Reflecting any origin would let any website read our responses, CSRF tokens included.
 const corsOptions = {
   origin: (origin, callback) => {
-    // In development, allow requests with no origin (like server-to-server, Postman)
-    if (config.env === 'development' && !origin) {
+    // Requests with no origin (server-to-server, Postman, curl) are not subject to CORS
+    if (!origin) {
       return callback(null, true);
     }
-    // For now, let's reflect the request's origin. 
-    // In a real production scenario, you MUST replace this with a whitelist.
-    callback(null, origin);
+    // Unknown origins get no CORS headers, so the browser blocks the response
+    callback(null, config.corsOrigins.includes(origin));
   }, 
   credentials: true, // Crucial for sending/receiving cookies (including HttpOnly)
 };
@@ -79,8 +86,8 @@ app.use(cookieParser());
 app.use('/public', express.static(path.join(__dirname, 'public'))); 
 
 // 7. General Rate Limiting: Apply to all incoming requests
-// 100 requests per minute per IP is a good, generous starting point.
-app.use(rateLimiter({ max: 100, windowMs: 60 * 1000 }));
+// 100 requests per minute per IP is a good, generous starting point (RATE_LIMIT_MAX).
+app.use(rateLimiter({ max: config.rateLimit.max, windowMs: 60 * 1000 }));
 
 // --- Core Routes ---
 
@@ -103,11 +110,27 @@ app.get('/health', (req, res) => {
   });
 });
 
+// JWKS: public keys for verifying our access tokens (empty while tokens are HS256)
+app.get('/.well-known/jwks.json', async (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(await signingKeyService.getJwks());
+  } catch (error) {
+    next(error);
+  }
+});
+
 // API Routes (Versioned)
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/posts', postRoutes);
 app.use('/api/v1/comments', commentRoutes); 
 app.use('/api/v1/likes', likeRoutes); 
+app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/files', fileRoutes);
+app.use('/api/v1/search', searchRoutes);
+app.use('/api/v1/tags', tagRoutes);
+app.use('/api/v1/trash', trashRoutes);
+app.use('/api/v1/follows', followRoutes);
 
 // CRITICAL: Documentation Route
 // Serve the Swagger UI on a dedicated /api-docs route
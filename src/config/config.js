@@ -13,8 +13,95 @@ const config = {
   jwt: {
     secretAccess: process.env.JWT_SECRET_ACCESS,
     secretRefresh: process.env.JWT_SECRET_REFRESH,
+    // Signs single-purpose tokens (email verification links, 2FA login challenges). Each carries
+    // a `purpose` claim, and the separate secret means none of them can pass as an access token.
+    secretVerify: process.env.JWT_SECRET_VERIFY,
     accessExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
     refreshExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
+    verifyExpiry: process.env.JWT_VERIFY_EXPIRY || '24h',
+    // Access-token signing: 'HS256' (shared secret) or 'RS256'/'ES256' (rotating key pairs + JWKS)
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    // How long a rotated-out key keeps verifying; must exceed the access-token lifetime
+    keyRetentionHours: parseInt(process.env.JWT_KEY_RETENTION_HOURS, 10) || 24,
+  },
+  // Base URL of the frontend, used to build links in outgoing emails
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+  // Browser origins allowed to call the API with cookies (comma-separated; defaults to the frontend)
+  corsOrigins: (process.env.CORS_ORIGINS || process.env.CLIENT_URL || 'http://localhost:3000')
+    .split(',').map(origin => origin.trim()).filter(Boolean),
+  csrf: {
+    // Signs the CSRF tokens of cookie-authenticated clients (see utils/csrf.js)
+    secret: process.env.CSRF_SECRET || process.env.JWT_SECRET_VERIFY,
+  },
+  auth: {
+    // Lifetime of a single-use password reset token
+    passwordResetExpiryMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES, 10) || 30,
+    // Minimum wait between two verification emails for the same account
+    verificationResendCooldownSeconds: parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 60,
+    // When true, users must verify their email before creating posts or comments
+    requireVerifiedEmail: process.env.REQUIRE_VERIFIED_EMAIL === 'true',
+    // Issuer name shown in authenticator apps
+    twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'InsightAPI',
+    // Lifetime of the "MFA pending" challenge returned by login for 2FA users
+    mfaChallengeExpiry: process.env.MFA_CHALLENGE_EXPIRY || '5m',
+    // Per-account login throttling (see login-throttle.service.js)
+    loginThrottle: {
+      freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 5,
+      baseLockoutSeconds: parseInt(process.env.LOGIN_BASE_LOCKOUT_SECONDS, 10) || 30,
+      maxLockoutSeconds: parseInt(process.env.LOGIN_MAX_LOCKOUT_SECONDS, 10) || 15 * 60,
+      // Failures are forgotten after this long without a new one
+      resetAfterSeconds: parseInt(process.env.LOGIN_RESET_AFTER_SECONDS, 10) || 15 * 60,
+    },
+    // How long `authenticate` may trust its cached copy of a user's auth state
+    stateCacheTtlSeconds: parseInt(process.env.AUTH_STATE_CACHE_TTL_SECONDS, 10) || 10,
+    // Hours a finished personal data export stays downloadable before it is deleted
+    dataExportRetentionHours: parseInt(process.env.DATA_EXPORT_RETENTION_HOURS, 10) || 48,
+    // Days a deleted account can still be restored before it is purged (0 = delete immediately)
+    accountDeletionGraceDays: process.env.ACCOUNT_DELETION_GRACE_DAYS !== undefined
+      ? parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10)
+      : 14,
+  },
+  rateLimit: {
+    // Requests per minute per IP, across the whole API
+    max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100,
+  },
+  content: {
+    // Days deleted posts and comments stay in the trash (restorable) before the purge job removes them
+    trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+    // Images attached to a post: how many, and how large each may be
+    maxPostImages: parseInt(process.env.POST_IMAGE_MAX_COUNT, 10) || 4,
+    maxPostImageSizeMb: parseInt(process.env.POST_IMAGE_MAX_SIZE_MB, 10) || 5,
+  },
+  mail: {
+    // 'console' logs messages, 'file' writes them to disk (dev/tests), 'smtp' sends them (production)
+    transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console'),
+    from: process.env.MAIL_FROM || 'InsightAPI <no-reply@insightapi.local>',
+    fileDir: process.env.MAIL_FILE_DIR || 'tmp/mail',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  },
+  // Generic OpenID Connect provider (authorization code + PKCE). Disabled unless OIDC_ISSUER is set.
+  oidc: {
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    // Must match the redirect URI registered with the provider (our /auth/oidc/callback)
+    redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:5000/api/v1/auth/oidc/callback',
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    // Stored on linked identities; lets a second provider be added later
+    providerName: process.env.OIDC_PROVIDER_NAME || 'oidc',
+    // Lifetime of the state/nonce/PKCE cookie that spans the round trip to the provider
+    stateExpiry: process.env.OIDC_STATE_EXPIRY || '10m',
+  },
+  storage: {
+    // Signs expiring download links for private files (see utils/storage.js)
+    signedUrlSecret: process.env.STORAGE_SIGNED_URL_SECRET || process.env.JWT_SECRET_VERIFY,
+    signedUrlExpiryMinutes: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRY_MINUTES, 10) || 15,
   },
   // Bcrypt cost factor for password hashing
   // 10 is standard/safe. 12 is a good balance for senior-level apps.
@@ -22,9 +109,21 @@ const config = {
   bcryptSaltRounds: 12, 
 };
 
+// CRITICAL CHECK: Only these algorithms are implemented (see signing-key.service.js)
+if (!['HS256', 'RS256', 'ES256'].includes(config.jwt.algorithm)) {
+  throw new Error('FATAL ERROR: JWT_ALGORITHM must be HS256, RS256 or ES256.');
+}
+
 // CRITICAL CHECK: Ensure secrets are set in a production environment
-if (config.env === 'production' && (!config.jwt.secretAccess || !config.jwt.secretRefresh)) {
+// (the access secret is only needed while access tokens are HS256)
+const needsAccessSecret = config.jwt.algorithm === 'HS256';
+if (config.env === 'production' && ((needsAccessSecret && !config.jwt.secretAccess) || !config.jwt.secretRefresh || !config.jwt.secretVerify)) {
   throw new Error('FATAL ERROR: JWT secrets are not defined in production environment.');
 }
 
+// CRITICAL CHECK: The SMTP transport can't send anything without a host
+if (config.mail.transport === 'smtp' && !config.mail.smtp.host) {
+  throw new Error('FATAL ERROR: SMTP_HOST must be set when MAIL_TRANSPORT is smtp.');
+}
+
 module.exports = config;
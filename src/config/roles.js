@@ -0,0 +1,39 @@
+// roles.js
+// Role-based access control: the single source of truth for which role may do what.
+// Routes ask for a PERMISSION (via the authorize middlewares), never for a role directly.
+
+const PERMISSIONS = {
+  POSTS_UPDATE_ANY: 'posts:update:any',
+  POSTS_DELETE_ANY: 'posts:delete:any',
+  COMMENTS_UPDATE_ANY: 'comments:update:any',
+  COMMENTS_DELETE_ANY: 'comments:delete:any',
+  USERS_MANAGE_ROLES: 'users:manage_roles',
+  USERS_MANAGE_STATUS: 'users:manage_status',
+  AUTH_KEYS_ROTATE: 'auth:keys:rotate',
+};
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Permissions beyond what every authenticated user can already do with their OWN content
+const rolePermissions = {
+  user: [],
+  moderator: [
+    PERMISSIONS.POSTS_DELETE_ANY,
+    PERMISSIONS.COMMENTS_DELETE_ANY,
+  ],
+  admin: Object.values(PERMISSIONS),
+};
+
+/**
+ * Checks whether any of the given roles grants a permission.
+ * @param {string[]} roles - Roles from the access token (req.user.roles).
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {boolean}
+ */
+const hasPermission = (roles = [], permission) => roles.some(role => (rolePermissions[role] || []).includes(permission));
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  hasPermission,
+};
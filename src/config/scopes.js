@@ -0,0 +1,18 @@
+// scopes.js
+// Scopes for personal access tokens (integrations). A token can only call routes that declare
+// one of its scopes with `requireScope`; every other route refuses personal access tokens.
+// A token acts as a regular user even if its owner is staff, so it can't moderate other users' content.
+// Read scopes only matter on routes that authenticate reads. Public reads need no token at all; with a
+// `posts:read`/`comments:read` token they also include what the token's user may see (e.g., followers-only posts).
+
+const SCOPES = {
+  POSTS_READ: 'posts:read',
+  POSTS_WRITE: 'posts:write',
+  COMMENTS_READ: 'comments:read',
+  COMMENTS_WRITE: 'comments:write',
+  LIKES_WRITE: 'likes:write',
+};
+
+module.exports = {
+  SCOPES,
+};
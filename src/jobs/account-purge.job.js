@@ -0,0 +1,10 @@
+// account-purge.job.js
+// Permanently deletes accounts whose deletion grace period has ended.
+
+const accountService = require('../services/account.service');
+
+module.exports = {
+  name: 'account-purge',
+  intervalMs: 60 * 60 * 1000, // Hourly: the grace period is measured in days
+  run: accountService.purgeDueAccounts,
+};
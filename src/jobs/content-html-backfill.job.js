@@ -0,0 +1,10 @@
+// content-html-backfill.job.js
+// Renders `contentHtml` for posts and comments written before content was treated as Markdown.
+
+const postService = require('../services/post.service');
+
+module.exports = {
+  name: 'content-html-backfill',
+  intervalMs: 10 * 60 * 1000, // Every 10 minutes: each run renders one batch of older content
+  run: postService.backfillContentHtml,
+};
@@ -0,0 +1,11 @@
+// data-export.job.js
+// Deletes expired data export archives, resumes exports lost to a restart and fails
+// exports interrupted mid-build.
+
+const dataExportService = require('../services/data-export.service');
+
+module.exports = {
+  name: 'data-export',
+  intervalMs: 10 * 60 * 1000,
+  run: dataExportService.runMaintenance,
+};
@@ -0,0 +1,44 @@
+// jobs/index.js
+// Minimal in-process job runner: each job runs on a fixed interval on every instance.
+// Jobs must be idempotent. With several instances, move them to a single worker or a queue.
+
+const logger = require('../utils/logger');
+const accountPurgeJob = require('./account-purge.job');
+const contentHtmlBackfillJob = require('./content-html-backfill.job');
+const dataExportJob = require('./data-export.job');
+const postPublishJob = require('./post-publish.job');
+const trashPurgeJob = require('./trash-purge.job');
+
+const jobs = [accountPurgeJob, contentHtmlBackfillJob, dataExportJob, postPublishJob, trashPurgeJob];
+const timers = [];
+
+// Helper to run a job, logging instead of crashing the process on failure
+const runJob = async (job) => {
+  try {
+    const result = await job.run();
+    logger.debug({ event: 'job_completed', job: job.name, result });
+  } catch (error) {
+    logger.error({ event: 'job_failure', job: job.name, error: error.message });
+  }
+};
+
+const startJobs = () => {
+  for (const job of jobs) {
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref(); // Never keep the process alive just for a job
+    timers.push(timer);
+  }
+  logger.info({ event: 'jobs_started', jobs: jobs.map(job => job.name) });
+};
+
+const stopJobs = () => {
+  while (timers.length) {
+    clearInterval(timers.pop());
+  }
+};
+
+module.exports = {
+  startJobs,
+  stopJobs,
+  runJob,
+};
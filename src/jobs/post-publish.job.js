@@ -0,0 +1,10 @@
+// post-publish.job.js
+// Publishes scheduled posts once their `publishAt` time has passed.
+
+const postService = require('../services/post.service');
+
+module.exports = {
+  name: 'post-publish',
+  intervalMs: 60 * 1000, // Every minute: posts go live at most a minute late
+  run: postService.publishDuePosts,
+};
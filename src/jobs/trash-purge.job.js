@@ -0,0 +1,10 @@
+// trash-purge.job.js
+// Permanently deletes posts and comments whose trash retention period has ended.
+
+const trashService = require('../services/trash.service');
+
+module.exports = {
+  name: 'trash-purge',
+  intervalMs: 60 * 60 * 1000, // Hourly: the retention period is measured in days
+  run: trashService.purgeExpiredTrash,
+};
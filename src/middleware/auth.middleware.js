@@ -1,43 +1,104 @@
 // auth.middleware.js
-// Middleware to authenticate the request using the short-lived access token cookie.
+// Middleware to authenticate the request using the short-lived access token, taken from
+// an `Authorization: Bearer` header (mobile/server clients) or the HttpOnly cookie (browsers).
+// Bearer personal access tokens (`pat_...`) are accepted on routes that declare a scope.
 
-const jwt = require('jsonwebtoken');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
-const config = require('../config/config');
+const { getAuthState, getAccountRestriction, getPendingDeletionRestriction } = require('../services/auth-state.service');
+const personalTokenService = require('../services/personal-token.service');
+const signingKeyService = require('../services/signing-key.service');
+const { checkCsrf } = require('../utils/csrf');
 
-// Middleware to protect routes
-const authenticate = (req, res, next) => {
-  // 1. Extract the token from the HttpOnly cookie
-  const token = req.cookies.accessToken;
+// Helper to locate the access token on the request.
+// The Bearer header takes precedence so non-browser clients never depend on a cookie jar.
+const extractAccessToken = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return { token: authHeader.slice('Bearer '.length).trim(), source: 'bearer' };
+  }
 
-  if (!token) {
-    // If no token, request is unauthorized. Tell client to re-authenticate or refresh.
-    return next(new AppError('Authentication failed: No access token provided.', 401, 'AUTH_REQUIRED'));
+  if (req.cookies && req.cookies.accessToken) {
+    return { token: req.cookies.accessToken, source: 'cookie' };
+  }
+
+  return { token: null, source: null };
+};
+
+// Helper to check the token against state that can revoke it before it expires
+// Returns { error } when the token must be rejected, otherwise { authState }.
+const checkAuthState = async (decoded) => {
+  const authState = await getAuthState(decoded.id);
+
+  if (!authState) {
+    return { error: new AppError('The user for this token no longer exists.', 401, 'AUTH_FAILED') };
+  }
+
+  // JWT `iat` has second precision: tokens issued in the same second as the change
+  // (i.e., the ones re-issued by the change itself) are still accepted.
+  if (authState.passwordChangedAt && decoded.iat < Math.floor(authState.passwordChangedAt.getTime() / 1000)) {
+    return { error: new AppError('Password was changed. Please log in again.', 401, 'AUTH_TOKEN_REVOKED') };
+  }
+
+  // Suspended/banned accounts are locked out within one cache TTL, tokens notwithstanding
+  const error = getAccountRestriction(authState.accountStatus)
+    || getPendingDeletionRestriction(authState.deletionScheduledFor);
+  return error ? { error } : { authState };
+};
+
+// Helper to authenticate with a personal access token, limited to the route's scope
+const authenticatePersonalToken = async (req, token, next) => {
+  // Routes without a declared scope (account management, etc.) need a real session
+  if (!req.requiredScope) {
+    return next(new AppError('Personal access tokens cannot be used for this endpoint.', 403, 'TOKEN_NOT_ALLOWED'));
   }
 
   try {
-    // 2. Verify the token using the secret
-    // This synchronously throws an error if the token is invalid or expired.
-    const decoded = jwt.verify(token, config.jwt.secretAccess);
-    
-    // 3. Attach user payload to the request for downstream middleware/controllers
-    // This assumes the token payload includes id and username from auth.service.js
+    const { user, token: accessToken } = await personalTokenService.verifyToken(token);
+
+    if (!accessToken.scopes.includes(req.requiredScope)) {
+      logger.warn({ event: 'personal_token_scope_denied', requestId: req.id, userId: user._id, scope: req.requiredScope });
+      return next(new AppError(`This token is missing the required scope: ${req.requiredScope}.`, 403, 'INSUFFICIENT_SCOPE'));
+    }
+
     req.user = {
-      id: decoded.id,
-      username: decoded.username,
-      // NOTE: In Phase 2/3, we might fetch the full user from DB here to ensure account is still active/not banned.
+      id: String(user._id),
+      username: user.username,
+      // Scopes cover the owner's own content only: staff roles (moderating, admin) need a session
+      roles: ['user'],
+      sessionId: null, // Not tied to a login session
+      authMethod: 'token',
+      tokenId: accessToken._id,
+      scopes: accessToken.scopes,
     };
 
-    logger.debug({ 
-      event: 'user_authenticated', 
-      requestId: req.id, 
-      userId: req.user.id 
-    });
-
     next();
   } catch (error) {
-    // 4. Handle token verification failure
+    next(error);
+  }
+};
+
+// Middleware to protect routes
+const authenticate = async (req, res, next) => {
+  // 1. Extract the token from the Authorization header or the HttpOnly cookie
+  const { token, source } = extractAccessToken(req);
+
+  if (!token) {
+    // If no token, request is unauthorized. Tell client to re-authenticate or refresh.
+    return next(new AppError('Authentication failed: No access token provided.', 401, 'AUTH_REQUIRED'));
+  }
+
+  if (source === 'bearer' && personalTokenService.isPersonalAccessToken(token)) {
+    return authenticatePersonalToken(req, token, next);
+  }
+
+  let decoded;
+  try {
+    // 2. Verify the token using the secret or the public key named by its `kid`
+    // This throws an error if the token is invalid or expired.
+    decoded = await signingKeyService.verifyAccessToken(token);
+  } catch (error) {
+    // Handle token verification failure
     
     // Log the actual JWT error for debugging
     logger.error({ 
@@ -56,10 +117,55 @@ const authenticate = (req, res, next) => {
     } 
     
     // IMPORTANT: Clear the expired cookie to prompt client to refresh
-    res.clearCookie('accessToken');
+    // Bearer clients manage their own token storage, so there is nothing to clear.
+    if (source === 'cookie') {
+      res.clearCookie('accessToken');
+    }
 
     return next(new AppError(message, 401, code));
   }
+
+  let authState;
+  try {
+    // 3. Reject tokens revoked by a later state change (cached, see auth-state.service.js)
+    const { error: stateError, authState: state } = await checkAuthState(decoded);
+    if (stateError) {
+      logger.warn({ event: 'auth_token_revoked', requestId: req.id, userId: decoded.id, code: stateError.code });
+      return next(stateError);
+    }
+    authState = state;
+  } catch (error) {
+    return next(error);
+  }
+
+  // 4. Cookies are sent by the browser automatically, so cookie-authenticated mutations must
+  // also prove they come from our frontend. Bearer clients are exempt (no ambient credentials).
+  if (source === 'cookie') {
+    const csrfError = checkCsrf(req, decoded.sid);
+    if (csrfError) {
+      logger.warn({ event: 'csrf_rejected', requestId: req.id, userId: decoded.id, method: req.method });
+      return next(csrfError);
+    }
+  }
+
+  // 5. Attach user payload to the request for downstream middleware/controllers
+  // This assumes the token payload includes id and username from auth.service.js
+  req.user = {
+    id: decoded.id,
+    username: decoded.username,
+    // RBAC roles (see config/roles.js), as currently stored: role changes apply before the token expires
+    roles: authState.roles,
+    sessionId: decoded.sid, // Login session the token was issued for
+    authMethod: source, // 'bearer' or 'cookie' ('token' for personal access tokens)
+  };
+
+  logger.debug({ 
+    event: 'user_authenticated', 
+    requestId: req.id, 
+    userId: req.user.id 
+  });
+
+  next();
 };
 
 module.exports = authenticate;
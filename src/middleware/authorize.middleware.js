@@ -0,0 +1,68 @@
+// authorize.middleware.js
+// Composable authorization middlewares driven by the permission map in config/roles.js.
+// Must run after `authenticate` (they read req.user.roles).
+
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { hasPermission } = require('../config/roles');
+
+// Middleware factory: allow the request only if the user's roles grant `permission`
+const authorize = (permission) => (req, res, next) => {
+  if (hasPermission(req.user.roles, permission)) {
+    return next();
+  }
+
+  logger.warn({
+    event: 'authz_failed',
+    requestId: req.id,
+    userId: req.user.id,
+    permission,
+    reason: 'Missing permission'
+  });
+  next(new AppError('Forbidden: You do not have permission to perform this action.', 403, 'AUTHZ_FORBIDDEN'));
+};
+
+/**
+ * Middleware factory for "owner OR has permission" policies.
+ * @param {object} options
+ * @param {Function} options.load - async (req) => resource; must throw a 404 AppError if missing.
+ * @param {string} options.permission - Permission that overrides ownership (e.g., 'comments:delete:any').
+ * @param {string} options.resourceName - Used in the error message and attached as req[resourceName].
+ */
+const authorizeOwnerOr = ({ load, permission, resourceName }) => async (req, res, next) => {
+  try {
+    const resource = await load(req);
+
+    // Convert ObjectIds to strings for safe comparison
+    const isOwner = resource.author.id.toString() === req.user.id.toString();
+
+    if (!isOwner && !hasPermission(req.user.roles, permission)) {
+      logger.warn({
+        event: 'authz_failed',
+        requestId: req.id,
+        userId: req.user.id,
+        resourceId: resource._id,
+        permission,
+        reason: 'Not owner'
+      });
+      // Use 403 Forbidden for authorization failure
+      return next(new AppError(`Forbidden: You do not own this ${resourceName}.`, 403, 'AUTHZ_FORBIDDEN'));
+    }
+
+    if (!isOwner) {
+      // Staff acting on someone else's content: keep an audit trail
+      logger.info({ event: 'authz_override', requestId: req.id, userId: req.user.id, resourceId: resource._id, permission });
+    }
+
+    // Attach the resource to the request for the controller to use (optimization)
+    req[resourceName] = resource;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authorize,
+  authorizeOwnerOr,
+};
@@ -34,6 +34,21 @@ const handleCastErrorDB = err => {
   return new AppError(message, 400, 'INVALID_ID_FORMAT');
 };
 
+// Problem: Multer rejects an upload (file too large, too many files, unknown field...)
+// Solution: Transform into a 4xx AppError with a code per limit.
+const handleMulterError = err => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return new AppError('File is too large.', 413, 'FILE_TOO_LARGE');
+  }
+  if (err.code === 'LIMIT_FILE_COUNT' || (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'images')) {
+    return new AppError('Too many files in one request.', 400, 'TOO_MANY_FILES');
+  }
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return new AppError(`Unexpected file field: ${err.field}.`, 400, 'UNEXPECTED_FILE');
+  }
+  return new AppError(`Invalid upload: ${err.message}.`, 400, 'INVALID_UPLOAD');
+};
+
 // --- Global Error Handler Middleware ---
 
 // eslint-disable-next-line no-unused-vars
@@ -50,6 +65,7 @@ const errorHandler = (err, req, res, next) => {
   if (err.name === 'CastError') error = handleCastErrorDB(error);
   if (err.name === 'ValidationError') error = handleValidationErrorDB(error);
   if (err.code === 11000) error = handleDuplicateFieldsDB(error);
+  if (err.name === 'MulterError') error = handleMulterError(err);
   if (err.name === 'JsonWebTokenError') {
     error = new AppError('Invalid token. Please log in again.', 401, 'AUTH_INVALID_TOKEN');
   }
@@ -72,6 +88,11 @@ const errorHandler = (err, req, res, next) => {
 
   // 4. Send Response
   if (isOperational) {
+    // Throttling errors (429) may tell the client when to retry
+    if (error.retryAfter) {
+      res.setHeader('Retry-After', error.retryAfter);
+    }
+
     // Expected errors (e.g., bad request, unauthorized)
     res.status(statusCode).json({
       status,
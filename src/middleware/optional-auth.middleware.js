@@ -0,0 +1,26 @@
+// optional-auth.middleware.js
+// For public routes whose response depends on who is asking (e.g., authors can see their drafts).
+// Anonymous requests pass through without `req.user`. When credentials ARE sent they are checked
+// exactly like `authenticate`, so an expired token still gets a 401 and the client refreshes.
+
+const authenticate = require('./auth.middleware');
+const personalTokenService = require('../services/personal-token.service');
+
+const optionalAuthenticate = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const bearerToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice('Bearer '.length).trim() : null;
+
+  if (!bearerToken && !(req.cookies && req.cookies.accessToken)) {
+    return next();
+  }
+
+  // Personal access tokens are only honoured where the route declares a scope;
+  // elsewhere the request is served anonymously, as public routes always were.
+  if (bearerToken && personalTokenService.isPersonalAccessToken(bearerToken) && !req.requiredScope) {
+    return next();
+  }
+
+  return authenticate(req, res, next);
+};
+
+module.exports = optionalAuthenticate;
@@ -54,4 +54,10 @@ const rateLimiter = (options = {}) => {
   };
 };
 
+// Clears every counter (used by tests: every test request comes from the same IP)
+const resetRateLimits = () => {
+  rateLimitStore.clear();
+};
+
 module.exports = rateLimiter;
+module.exports.resetRateLimits = resetRateLimits;
@@ -0,0 +1,11 @@
+// scope.middleware.js
+// Declares the personal-access-token scope a route needs. Must run BEFORE `authenticate`,
+// which refuses personal access tokens on any route that didn't declare a scope.
+// Session (JWT) users are not affected: they have full access to their account.
+
+const requireScope = (scope) => (req, res, next) => {
+  req.requiredScope = scope;
+  next();
+};
+
+module.exports = requireScope;
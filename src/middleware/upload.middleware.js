@@ -3,14 +3,29 @@
 
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
 const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const TEMP_DIR = path.join(__dirname, '..', '..', 'temp');
+fs.mkdirSync(TEMP_DIR, { recursive: true });
+
+// Image formats accepted on posts (checked again against the file's bytes, see post-attachment.service.js)
+const POST_IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
 
 // 1. Storage Configuration: Use Multer's disk storage for temporary staging
 // Files are saved to a 'temp' directory and then moved by the storage utility.
 const multerStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     // Save to the root 'temp' directory inside the project for staging
-    cb(null, path.join(__dirname, '..', '..', 'temp')); 
+    cb(null, TEMP_DIR);
   },
   filename: (req, file, cb) => {
     // Generate a unique filename: user-ID-timestamp.extension
@@ -44,4 +59,52 @@ const upload = multer({
 // Use .single() for a single file upload, matching the form field name 'avatar'
 const uploadAvatar = upload.single('avatar'); 
 
-module.exports = uploadAvatar;
+// 5. Post images: several files under the 'images' field, allow-listed formats only.
+// Random names, since files from the same request land in the same millisecond.
+const postImageStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, TEMP_DIR);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `post-${uuidv4()}.${POST_IMAGE_TYPES[file.mimetype]}`);
+  },
+});
+
+const postImageFilter = (req, file, cb) => {
+  if (POST_IMAGE_TYPES[file.mimetype]) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Only JPEG, PNG, GIF and WebP images can be attached to posts.', 400, 'INVALID_FILE_TYPE'), false);
+  }
+};
+
+const uploadPostImages = multer({
+  storage: postImageStorage,
+  fileFilter: postImageFilter,
+  limits: {
+    fileSize: config.content.maxPostImageSizeMb * 1024 * 1024,
+    files: config.content.maxPostImages,
+    // Room for the longest valid content (10000 characters, see post.validation.js) at up to 4 bytes each in UTF-8
+    fieldSize: 4 * 10000,
+  },
+}).array('images', config.content.maxPostImages);
+
+// 6. Error middleware: removes staged files when the request fails before they were moved to storage
+// (mount after the routes that upload)
+// eslint-disable-next-line no-unused-vars
+const discardUploadsOnError = (err, req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  files.forEach(file => fs.unlink(file.path, (error) => {
+    if (error && error.code !== 'ENOENT') {
+      logger.warn({ event: 'upload_cleanup_failure', requestId: req.id, path: file.path, error: error.message });
+    }
+  }));
+  next(err);
+};
+
+module.exports = {
+  uploadAvatar,
+  uploadPostImages,
+  discardUploadsOnError,
+  POST_IMAGE_TYPES,
+};
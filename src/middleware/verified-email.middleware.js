@@ -0,0 +1,31 @@
+// verified-email.middleware.js
+// Blocks content creation for accounts that haven't verified their email address.
+// Only active when config.auth.requireVerifiedEmail is enabled. Must run after `authenticate`.
+
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const requireVerifiedEmail = async (req, res, next) => {
+  if (!config.auth.requireVerifiedEmail) {
+    return next();
+  }
+
+  try {
+    // The access token doesn't carry the verification state, so read it from the DB.
+    // This only guards write endpoints, so the extra lookup is acceptable.
+    const user = await User.findById(req.user.id).select('emailVerified').lean();
+
+    if (!user || !user.emailVerified) {
+      logger.warn({ event: 'email_not_verified', requestId: req.id, userId: req.user.id });
+      return next(new AppError('Please verify your email address before posting.', 403, 'EMAIL_NOT_VERIFIED'));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = requireVerifiedEmail;
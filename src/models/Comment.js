@@ -2,6 +2,7 @@
 // Mongoose schema for the Comment model.
 
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./soft-delete.plugin');
 
 const CommentSchema = new mongoose.Schema({
   content: {
@@ -10,12 +11,26 @@ const CommentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Comment cannot be more than 500 characters.'],
   },
+  // Sanitized HTML rendering of `content`, inline Markdown only (see utils/markdown.js)
+  contentHtml: {
+    type: String,
+  },
   // Reference to the Post this comment belongs to
   postId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post',
     required: true,
   },
+  // Denormalized from the post, so comment reads can apply its visibility without a lookup.
+  // Written when the comment is created and whenever the post's visibility changes (unset = public).
+  postVisibility: {
+    type: String,
+    enum: ['public', 'followers', 'private'],
+  },
+  postAuthorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
   // Denormalized Author Data (Cached for Feed Read Performance)
   author: {
     id: {
@@ -28,6 +43,11 @@ const CommentSchema = new mongoose.Schema({
       required: true,
     },
   },
+  // True when the comment went to the trash because its post did: it comes back with the post
+  deletedWithPost: {
+    type: Boolean,
+    default: false,
+  },
   // We can add a denormalized field for likes/reactions later
   likeCount: {
     type: Number,
@@ -39,6 +59,12 @@ const CommentSchema = new mongoose.Schema({
 
 // IMPORTANT: Index for fast lookups of comments on a specific post, sorted by creation date
 CommentSchema.index({ postId: 1, createdAt: -1 });
+CommentSchema.index({ 'author.id': 1, deletedAt: -1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } }); // The author's trash
+// Full-text search (see search.service.js)
+CommentSchema.index({ content: 'text' }, { name: 'comment_text_search' });
+
+// Deleted comments go to the author's trash first (deletedAt/deletedBy, hidden from every read)
+CommentSchema.plugin(softDeletePlugin);
 
 const Comment = mongoose.model('Comment', CommentSchema);
 
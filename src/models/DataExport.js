@@ -0,0 +1,61 @@
+// DataExport.js
+// Mongoose schema for a personal data export request. The archive itself lives in
+// private storage; this record tracks its progress and when it is deleted.
+
+const mongoose = require('mongoose');
+
+const DataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // pending -> processing -> ready | failed
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending',
+  },
+  // Private storage key of the finished archive (see utils/storage.js)
+  fileKey: {
+    type: String,
+    default: null,
+  },
+  sizeBytes: {
+    type: Number,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  // After this, the archive is deleted by the data export job
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true, // createdAt and updatedAt
+});
+
+// Index for finding a user's exports
+DataExportSchema.index({ user: 1, status: 1 });
+// At most one export in progress per user, even if two requests arrive at the same time
+DataExportSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'processing'] } } }
+);
+// Index for the job that deletes expired archives
+DataExportSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
+
+const DataExport = mongoose.model('DataExport', DataExportSchema);
+
+module.exports = DataExport;
@@ -0,0 +1,35 @@
+// Follow.js
+// Mongoose schema for the Follow model: `follower` follows `following`.
+// Once `following` accepts, followers can read the posts they share with followers only (see post.service.js).
+
+const mongoose = require('mongoose');
+
+const FollowSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // pending (requested) -> accepted; declining or removing a follower deletes the follow
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending',
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// A user follows another user at most once; also serves "who does X follow"
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+// Followers of a user and their pending requests (also account deletion cleanup)
+FollowSchema.index({ following: 1, status: 1 });
+
+const Follow = mongoose.model('Follow', FollowSchema);
+
+module.exports = Follow;
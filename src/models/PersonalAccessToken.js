@@ -0,0 +1,57 @@
+// PersonalAccessToken.js
+// Mongoose schema for a personal access token: a long-lived, scoped credential for scripts
+// and integrations. Only the SHA-256 hash of the token is stored.
+
+const mongoose = require('mongoose');
+const { SCOPES } = require('../config/scopes');
+
+const PersonalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Label chosen by the user (e.g., "CI publisher")
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // First characters of the raw token, so users can recognize it in the list
+  prefix: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [{ type: String, enum: Object.values(SCOPES) }],
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true, // createdAt and updatedAt
+});
+
+// Index for listing a user's tokens
+PersonalAccessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', PersonalAccessTokenSchema);
+
+module.exports = PersonalAccessToken;
@@ -2,6 +2,7 @@
 // Mongoose schema for the Post model. Uses denormalization for faster reads.
 
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./soft-delete.plugin');
 
 const PostSchema = new mongoose.Schema({
   title: {
@@ -10,9 +11,50 @@ const PostSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Title cannot be more than 100 characters.'],
   },
+  // Markdown source (CommonMark), as written by the author
   content: {
     type: String,
     required: [true, 'Post content is required.'],
+    maxlength: [10000, 'Content cannot be more than 10000 characters.'],
+  },
+  // Sanitized HTML rendering of `content` (see utils/markdown.js). Derived: rewritten on every content change.
+  contentHtml: {
+    type: String,
+  },
+  // Publication state. Only published posts appear in feeds, search and tag counts;
+  // drafts and scheduled posts are visible to their author only.
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published'],
+    default: 'published',
+  },
+  // Who can read the post (and its comments): everyone, the author's (accepted) followers, or the author only.
+  // Posts created before visibility existed have none and are public.
+  visibility: {
+    type: String,
+    enum: ['public', 'followers', 'private'],
+    default: 'public',
+  },
+  // When a scheduled post goes live (the post-publish job picks it up), or when it was published
+  publishAt: {
+    type: Date,
+    default: null,
+  },
+  // Normalized #hashtags found in `content` (see utils/hashtags.js). Derived: rewritten on every content change.
+  tags: {
+    type: [String],
+    default: [],
+  },
+  // Attached images, in display order (files in storage, see post-attachment.service.js).
+  // Files stay in storage while the post is in the trash and are deleted when it is purged.
+  attachments: {
+    type: [{
+      url: { type: String, required: true }, // Private storage key ('/private/posts/...'); readers get signed links
+      alt: { type: String, trim: true, maxlength: [500, 'Alt text cannot be more than 500 characters.'], default: '' },
+      mimeType: { type: String, required: true },
+      size: { type: Number, required: true }, // Bytes
+    }],
+    default: [],
   },
   // Denormalized Author Data (Cached for Feed Read Performance)
   // This saves a lookup to the User collection for every post display.
@@ -28,6 +70,24 @@ const PostSchema = new mongoose.Schema({
     },
     // In later phases, we'd add 'avatar' field here as well
   },
+  // Set once the title or content of a published post changes (history in PostRevision)
+  edited: {
+    type: Boolean,
+    default: false,
+  },
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  // Number of the latest PostRevision (posts written before revisions existed have none until edited)
+  revisionCount: {
+    type: Number,
+  },
+  // The revision that was published: readers other than the author see the history from there on,
+  // not the drafts before it (unset on posts published before it was recorded, see post-revision.service.js)
+  publishedRevision: {
+    type: Number,
+  },
   // Counts (Strategic Denormalization - Cached for display)
   commentCount: {
     type: Number,
@@ -41,9 +101,17 @@ const PostSchema = new mongoose.Schema({
   timestamps: true, // createdAt and updatedAt
 });
 
-// IMPORTANT: Define an index on the author.id for efficient querying of a user's posts
-PostSchema.index({ 'author.id': 1 });
-PostSchema.index({ createdAt: -1 }); // Index for sorting the main feed
+// IMPORTANT: Indexes match the feed's keyset order (createdAt, _id) so cursor pages are index scans
+PostSchema.index({ 'author.id': 1, createdAt: -1, _id: -1 }); // A user's posts (also serves author.id lookups)
+PostSchema.index({ createdAt: -1, _id: -1 }); // Index for sorting the main feed
+PostSchema.index({ tags: 1, createdAt: -1, _id: -1 }); // Tag feeds and tag usage counts
+PostSchema.index({ publishAt: 1 }, { partialFilterExpression: { status: 'scheduled' } }); // Due scheduled posts
+PostSchema.index({ 'author.id': 1, deletedAt: -1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } }); // The author's trash
+// Full-text search (see search.service.js); title matches rank above body matches
+PostSchema.index({ title: 'text', content: 'text' }, { weights: { title: 5, content: 1 }, name: 'post_text_search' });
+
+// Deleted posts go to the author's trash first (deletedAt/deletedBy, hidden from every read)
+PostSchema.plugin(softDeletePlugin);
 
 const Post = mongoose.model('Post', PostSchema);
 
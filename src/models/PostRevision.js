@@ -0,0 +1,53 @@
+// PostRevision.js
+// Mongoose schema for one saved version of a post's title and content.
+// Revision 1 is the post as first written; every edit or restore appends the next number.
+
+const mongoose = require('mongoose');
+
+const PostRevisionSchema = new mongoose.Schema({
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+  },
+  revision: {
+    type: Number,
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  content: {
+    type: String,
+    required: true,
+  },
+  // Who saved this version: the author, or staff editing under posts:update:any (denormalized like `author`)
+  editor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+  },
+  // Set when this revision was created by restoring an earlier one
+  restoredFrom: {
+    type: Number,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false }, // Revisions are immutable
+});
+
+// One document per revision number; also serves the newest-first history listing
+PostRevisionSchema.index({ postId: 1, revision: -1 }, { unique: true });
+// Keeps denormalized editor names in sync on username changes
+PostRevisionSchema.index({ 'editor.id': 1 });
+
+const PostRevision = mongoose.model('PostRevision', PostRevisionSchema);
+
+module.exports = PostRevision;
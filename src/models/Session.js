@@ -0,0 +1,66 @@
+// Session.js
+// Mongoose schema for a login session (one per device/login). Replaces the old
+// per-user blacklist of refresh-token JTIs with a record we can list and revoke.
+
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Refresh-token family: every token rotated out of this login shares the ID.
+  // Replaying a retired member of the family revokes the whole family.
+  familyId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // JTI of the ONLY refresh token currently valid for this session.
+  // Rotated on every refresh; any other JTI presented for this session counts as reuse.
+  jti: {
+    type: String,
+    required: true,
+  },
+  // Client metadata captured at login, shown to the user in the sessions list
+  userAgent: {
+    type: String,
+    default: 'unknown',
+  },
+  ip: {
+    type: String,
+    default: 'unknown',
+  },
+  lastRefreshedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Mirrors the refresh token's `exp`; the TTL index below purges stale records
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Set when the user logs out, revokes the session from another device,
+  // or a refresh token from this family is replayed
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'token_reuse', 'password_reset', 'password_changed', 'account_suspended', 'account_deleted', null],
+    default: null,
+  },
+}, {
+  timestamps: true, // createdAt and updatedAt
+});
+
+// Index for listing a user's active sessions
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// TTL index: MongoDB removes the document once the refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,56 @@
+// SigningKey.js
+// Mongoose schema for an asymmetric key pair used to sign access tokens (RS256/ES256).
+// Shared through the database so every instance signs and verifies with the same keys.
+
+const mongoose = require('mongoose');
+
+const SigningKeySchema = new mongoose.Schema({
+  // Key ID, sent in the JWT header and in the JWKS so verifiers can pick the right key
+  kid: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  algorithm: {
+    type: String,
+    enum: ['RS256', 'ES256'],
+    required: true,
+  },
+  publicKey: {
+    type: String, // PEM (SPKI)
+    required: true,
+  },
+  // PEM (PKCS#8). In production, keep this in a KMS/HSM or encrypt it at rest.
+  privateKey: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // active: signs new tokens (exactly one). retired: only verifies tokens still in flight.
+  // pending: created by a rotation that hasn't promoted it yet; never used.
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'retired'],
+    default: 'active',
+  },
+  retiredAt: {
+    type: Date,
+    default: null,
+  },
+  // Retired keys stay published until every token they signed has expired
+  verifyUntil: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true, // createdAt and updatedAt
+});
+
+// At most one active key, even if two instances try to create one at the same time
+SigningKeySchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+// TTL index: MongoDB removes retired keys once they may no longer verify anything
+SigningKeySchema.index({ verifyUntil: 1 }, { expireAfterSeconds: 0 });
+
+const SigningKey = mongoose.model('SigningKey', SigningKeySchema);
+
+module.exports = SigningKey;
@@ -4,6 +4,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const config = require('../config/config');
+const { ROLES } = require('../config/roles');
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -28,19 +29,131 @@ const UserSchema = new mongoose.Schema({
     // NEVER send the hash back
     select: false, 
   },
-      // Field for refresh token revocation
-    // This will store a list of blacklisted/revoked refresh tokens by their JTI (JWT ID)
-    blacklistedRefreshTokens: {
-      type: [String],
-      default: [],
+  // RBAC roles (see config/roles.js). Carried in the access-token payload.
+  roles: {
+    type: [{ type: String, enum: ROLES }],
+    default: ['user'],
+  },
+  // Moderation state set by staff. Suspensions (and optionally bans) expire at `expiresAt`.
+  accountStatus: {
+    state: {
+      type: String,
+      enum: ['active', 'suspended', 'banned'],
+      default: 'active',
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    updatedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  avatar: {
+    type: String,
+    default: '/public/defaults/avatar.png',
+  },
+  // Email verification state. Accounts start unverified until the emailed link is used.
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
+  // A requested email change only takes effect once the new address is verified
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+  },
+  // Used to throttle the resend endpoint
+  verificationEmailSentAt: {
+    type: Date,
+    default: null,
+  },
+  // Set whenever the password changes; access tokens issued before it are rejected
+  passwordChangedAt: {
+    type: Date,
+    default: null,
+  },
+  // Self-service deletion: the account is deactivated until `deletionScheduledFor`,
+  // then purged by the account purge job unless the owner restores it first
+  deletionRequestedAt: {
+    type: Date,
+    default: null,
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null,
+  },
+  // External OpenID Connect identities that can log in as this user (see oidc.service.js)
+  identities: [{
+    _id: false,
+    provider: { type: String, required: true },
+    subject: { type: String, required: true }, // The provider's stable `sub` claim
+    email: { type: String, default: null },
+    linkedAt: { type: Date, default: Date.now },
+  }],
+  // TOTP two-factor authentication (RFC 6238). Secrets and recovery-code hashes are never selected by default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Active secret (base32), set once enrolment is confirmed with a valid code
+    secret: {
+      type: String,
+      select: false,
     },
-    avatar: {
+    // Secret handed out by /2fa/setup, waiting for confirmation
+    pendingSecret: {
       type: String,
-      default: '/public/defaults/avatar.png',
-    }
-  }, {
-    timestamps: true, // Add createdAt and updatedAt fields
-  });
+      select: false,
+    },
+    // SHA-256 hashes of the one-time recovery codes; a code is removed when used
+    recoveryCodes: {
+      type: [String],
+      select: false,
+      default: undefined,
+    },
+    // Last accepted time step, so a code can't be replayed within its validity window
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  // Password reset: only the SHA-256 hash of the emailed token is stored.
+  // Both fields are cleared as soon as the token is used (single-use).
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+    select: false,
+  },
+  // NOTE: Refresh-token revocation lives in the Session model (one record per login)
+}, {
+  timestamps: true, // Add createdAt and updatedAt fields
+});
+
 // Middleware to hash password before saving (pre-save hook)
 UserSchema.pre('save', async function (next) {
   // Only run this function if password was actually modified
@@ -49,6 +162,11 @@ UserSchema.pre('save', async function (next) {
   // Hash the password with cost factor from config
   const salt = await bcrypt.genSalt(config.bcryptSaltRounds);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Record the change (not the initial password) so older access tokens can be rejected
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
@@ -58,6 +176,17 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Sparse index for looking up a pending password reset by token hash
+UserSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+// Lets the purge job find accounts whose grace period has ended
+UserSchema.index({ deletionScheduledFor: 1 }, { partialFilterExpression: { deletionScheduledFor: { $type: 'date' } } });
+
+// One external identity can belong to one user only (users without identities are not indexed)
+UserSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 const User = mongoose.model('User', UserSchema);
 
 module.exports = User;
@@ -0,0 +1,47 @@
+// soft-delete.plugin.js
+// Mongoose plugin for soft deletion: adds `deletedAt`/`deletedBy` and hides deleted documents
+// from every query that doesn't ask for them, so reads (and counts) exclude the trash by default.
+//
+// To include deleted documents, either filter on `deletedAt` explicitly
+// (e.g. `{ deletedAt: { $ne: null } }` for the trash) or set the `withDeleted` query option.
+// Hard deletes (deleteOne/deleteMany) are not filtered: they are only used by purges.
+
+const mongoose = require('mongoose');
+
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+];
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    // Set when the document is moved to the trash; the trash purge job removes it for good later
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  });
+
+  schema.pre(FILTERED_QUERIES, function excludeDeleted() {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+      return;
+    }
+    // `null` also matches documents written before soft deletion existed (no field at all)
+    this.where({ deletedAt: null });
+  });
+
+  // Lets the purge job find expired trash
+  schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+};
+
+module.exports = softDeletePlugin;
@@ -4,6 +4,7 @@ const mongoose = require('mongoose');
 const app = require('./app');
 const logger = require('./utils/logger');
 const config = require('./config/config');
+const { startJobs, stopJobs } = require('./jobs');
 
 // ... (Uncaught Exception/Unhandled Rejection handlers remain the same)
 
@@ -43,6 +44,8 @@ connectDB().then(() => {
   server = app.listen(config.port, () => {
     logger.info({ event: 'server_started', port: config.port, env: config.env });
   });
+  // Background maintenance (e.g., purging deleted accounts)
+  startJobs();
 });
 
 // --- Graceful Shutdown ---
@@ -68,6 +71,7 @@ process.on('unhandledRejection', unexpectedErrorHandler);
 
 process.on('SIGTERM', () => {
   logger.info({ event: 'sigterm_received', message: 'SIGTERM received.' });
+  stopJobs();
   if (server) {
     server.close();
   }
@@ -0,0 +1,190 @@
+// account.service.js
+// Self-service account deletion: a grace period with undo, then a full cascade that removes
+// the user's posts, comments, likes, sessions, exports and avatar while keeping everyone else's
+// denormalized counters (commentCount/likeCount) correct.
+
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const mailer = require('../utils/mailer');
+const storageUtils = require('../utils/storage');
+const counterService = require('./counter.service');
+const dataExportService = require('./data-export.service');
+const postAttachmentService = require('./post-attachment.service');
+const AuthService = require('./auth.service');
+const loginThrottle = require('./login-throttle.service');
+const { invalidateAuthState } = require('./auth-state.service');
+
+// Helper to count occurrences of an ID: [{ key: id }, ...] -> Map(id -> -count)
+const countDecrements = (docs, key) => {
+  const decrements = new Map();
+  for (const doc of docs) {
+    const id = String(doc[key]);
+    decrements.set(id, (decrements.get(id) || 0) - 1);
+  }
+  return decrements;
+};
+
+// 1. Remove everything the user created, fixing counters on content that survives
+const purgeUserContent = async (userId) => {
+  // 1.1. Likes the user gave: decrement the liked posts/comments, then drop the likes
+  const likesGiven = await Like.find({ userId }).select('resourceId onModel').lean();
+  await counterService.bulkUpdateCounters('Post', 'likeCount',
+    countDecrements(likesGiven.filter(like => like.onModel === 'Post'), 'resourceId'));
+  await counterService.bulkUpdateCounters('Comment', 'likeCount',
+    countDecrements(likesGiven.filter(like => like.onModel === 'Comment'), 'resourceId'));
+  await Like.deleteMany({ userId });
+
+  // 1.2. The user's posts (trashed ones too), together with every comment and like attached to them
+  const posts = await Post.find({ 'author.id': userId }).setOptions({ withDeleted: true }).select('_id attachments').lean();
+  const postIds = posts.map(post => post._id);
+  const commentIdsOnPosts = await Comment.find({ postId: { $in: postIds } }).setOptions({ withDeleted: true }).distinct('_id');
+  await Like.deleteMany({
+    $or: [
+      { onModel: 'Post', resourceId: { $in: postIds } },
+      { onModel: 'Comment', resourceId: { $in: commentIdsOnPosts } },
+    ],
+  });
+  await Comment.deleteMany({ postId: { $in: postIds } });
+  await PostRevision.deleteMany({ postId: { $in: postIds } });
+  await Post.deleteMany({ _id: { $in: postIds } });
+  await postAttachmentService.deleteAttachmentFiles(posts.flatMap(post => post.attachments || []));
+
+  // 1.3. The user's comments on other people's posts (decrement their commentCount, except for
+  // comments trashed on their own: those were already taken off the count)
+  const comments = await Comment.find({ 'author.id': userId }).setOptions({ withDeleted: true })
+    .select('_id postId deletedAt deletedWithPost').lean();
+  await counterService.bulkUpdateCounters('Post', 'commentCount',
+    countDecrements(comments.filter(comment => !comment.deletedAt || comment.deletedWithPost), 'postId'));
+  await Like.deleteMany({ onModel: 'Comment', resourceId: { $in: comments.map(comment => comment._id) } });
+  await Comment.deleteMany({ 'author.id': userId });
+
+  return { posts: postIds.length, comments: comments.length, likes: likesGiven.length };
+};
+
+// 2. Irreversibly delete the account and its footprint
+const deleteAccountNow = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) {
+    throw new AppError('User not found.', 404, 'USER_NOT_FOUND');
+  }
+
+  const removed = await purgeUserContent(user._id);
+
+  // Only uploaded avatars live in storage; the default image is shared
+  if (user.avatar && user.avatar.startsWith('/public/avatars/')) {
+    await storageUtils.deleteFileFromCloud(user.avatar);
+  }
+
+  await Follow.deleteMany({ $or: [{ follower: user._id }, { following: user._id }] });
+  await dataExportService.deleteUserExports(user._id);
+  await Session.deleteMany({ user: user._id });
+  await PersonalAccessToken.deleteMany({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+  invalidateAuthState(user._id);
+
+  logger.warn({ event: 'account_deleted', userId: user._id, ...removed });
+};
+
+// 3. Request deletion (password re-confirmation required)
+// With a grace period, the account is deactivated and purged later unless restored.
+const requestAccountDeletion = async (userId, password) => {
+  const user = await User.findById(userId).select('+password');
+  if (!user) {
+    throw new AppError('User not found.', 404, 'USER_NOT_FOUND');
+  }
+
+  if (!(await user.comparePassword(password))) {
+    throw new AppError('Current password is incorrect.', 400, 'INVALID_CURRENT_PASSWORD');
+  }
+
+  const graceDays = config.auth.accountDeletionGraceDays;
+  if (graceDays === 0) {
+    await deleteAccountNow(user._id);
+    return { scheduledFor: null };
+  }
+
+  const scheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = scheduledFor;
+  await user.save();
+
+  // Deactivate: log out every device and make existing access tokens (and personal tokens) fail
+  invalidateAuthState(user._id);
+  await AuthService.revokeUserSessions(user._id, { reason: 'account_deleted' });
+
+  try {
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Your InsightAPI account is scheduled for deletion',
+      text: `Hi ${user.username},\n\nYour account and everything you posted will be permanently deleted on `
+        + `${scheduledFor.toUTCString()}.\n\nChanged your mind? Restore your account before then with your email and password.`,
+    });
+  } catch (error) {
+    logger.error({ event: 'account_deletion_mail_failure', userId: user._id, error: error.message });
+  }
+
+  logger.warn({ event: 'account_deletion_scheduled', userId: user._id, scheduledFor });
+
+  return { scheduledFor };
+};
+
+// 4. Undo a pending deletion (re-proves ownership with email + password)
+const restoreAccount = async ({ email, password }) => {
+  // Same throttling as login: this endpoint also checks passwords
+  const throttleKey = loginThrottle.keyForEmail(email);
+  loginThrottle.assertNotLocked(throttleKey);
+
+  const user = await User.findOne({ email }).select('+password');
+  if (!user || !(await user.comparePassword(password))) {
+    loginThrottle.recordFailure(throttleKey, user && user._id);
+    throw new AppError('Invalid email or password.', 401, 'AUTH_FAILED');
+  }
+  loginThrottle.reset(throttleKey);
+
+  if (!user.deletionScheduledFor) {
+    throw new AppError('This account is not scheduled for deletion.', 400, 'ACCOUNT_NOT_PENDING_DELETION');
+  }
+
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  await user.save();
+  invalidateAuthState(user._id);
+
+  logger.info({ event: 'account_deletion_cancelled', userId: user._id });
+
+  return user;
+};
+
+// 5. Purge every account whose grace period has ended (run by the account purge job)
+const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } }).select('_id').lean();
+
+  let purged = 0;
+  for (const { _id } of dueUsers) {
+    try {
+      await deleteAccountNow(_id);
+      purged += 1;
+    } catch (error) {
+      // Keep going: one failing account must not block the others
+      logger.error({ event: 'account_purge_failure', userId: _id, error: error.message });
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  requestAccountDeletion,
+  restoreAccount,
+  deleteAccountNow,
+  purgeDueAccounts,
+};
@@ -0,0 +1,72 @@
+// admin.service.js
+// Business logic for staff-only user management.
+
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const AuthService = require('./auth.service');
+const { invalidateAuthState } = require('./auth-state.service');
+
+// 1. Replace a user's roles
+// `authenticate` reads roles through the auth-state cache, so the change (a demotion in particular)
+// applies to existing access tokens within one cache TTL (immediately on this instance).
+const setUserRoles = async (userId, roles, actorId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { roles } },
+    { new: true, runValidators: true }
+  ).select('username email roles');
+
+  if (!user) {
+    throw new AppError(`User with ID ${userId} not found.`, 404, 'USER_NOT_FOUND');
+  }
+
+  invalidateAuthState(userId);
+
+  logger.info({ event: 'user_roles_updated', userId, roles, actorId });
+
+  return user.toObject();
+};
+
+// 2. Suspend, ban or reinstate a user
+// `authenticate` reads the status through the auth-state cache, so existing access tokens
+// stop working within one cache TTL (immediately on this instance).
+const setUserStatus = async (userId, { state, reason, expiresAt }, actorId) => {
+  if (String(userId) === String(actorId)) {
+    throw new AppError('You cannot change the status of your own account.', 400, 'CANNOT_MODERATE_SELF');
+  }
+
+  const accountStatus = {
+    state,
+    reason: state === 'active' ? null : reason,
+    expiresAt: state === 'active' ? null : (expiresAt || null),
+    updatedBy: actorId,
+    updatedAt: new Date(),
+  };
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { accountStatus } },
+    { new: true, runValidators: true }
+  ).select('username email accountStatus');
+
+  if (!user) {
+    throw new AppError(`User with ID ${userId} not found.`, 404, 'USER_NOT_FOUND');
+  }
+
+  invalidateAuthState(userId);
+
+  // Log the user out everywhere; they have to log in again once reinstated
+  if (state !== 'active') {
+    await AuthService.revokeUserSessions(userId, { reason: 'account_suspended' });
+  }
+
+  logger.warn({ event: 'user_status_updated', userId, state, expiresAt: accountStatus.expiresAt, actorId });
+
+  return user.toObject();
+};
+
+module.exports = {
+  setUserRoles,
+  setUserStatus,
+};
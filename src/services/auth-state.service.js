@@ -0,0 +1,109 @@
+// auth-state.service.js
+// Short-lived, in-memory cache of the per-user state that can invalidate an otherwise
+// valid access token (a password change, a suspension or ban, a pending account deletion), and the
+// user's current roles (so a demotion doesn't wait for the token to expire). Keeps `authenticate` cheap: at most one
+// DB read per user per TTL window instead of one per request.
+
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const config = require('../config/config');
+
+// Store: { userId: { state, expiresAt } }
+// In production with several instances, this would live in Redis so invalidations are shared.
+const stateCache = new Map();
+
+// Prune expired entries once the cache grows past this size
+const MAX_CACHE_ENTRIES = 10000;
+
+const pruneExpired = (now) => {
+  for (const [userId, entry] of stateCache) {
+    if (entry.expiresAt <= now) stateCache.delete(userId);
+  }
+};
+
+/**
+ * Returns an AppError if the account may not be used right now (suspended or banned), else null.
+ * Expired suspensions/bans are treated as lifted without needing a write.
+ * @param {object} accountStatus - The `accountStatus` sub-document of a User.
+ * @returns {AppError|null}
+ */
+const getAccountRestriction = (accountStatus) => {
+  if (!accountStatus || accountStatus.state === 'active' || !accountStatus.state) {
+    return null;
+  }
+
+  if (accountStatus.expiresAt && new Date(accountStatus.expiresAt).getTime() <= Date.now()) {
+    return null;
+  }
+
+  const until = accountStatus.expiresAt ? ` until ${new Date(accountStatus.expiresAt).toISOString()}` : '';
+  const reason = accountStatus.reason ? ` Reason: ${accountStatus.reason}` : '';
+
+  if (accountStatus.state === 'banned') {
+    return new AppError(`This account has been banned${until}.${reason}`, 403, 'ACCOUNT_BANNED');
+  }
+
+  return new AppError(`This account is suspended${until}.${reason}`, 403, 'ACCOUNT_SUSPENDED');
+};
+
+/**
+ * Returns an AppError if the account is deactivated pending deletion, else null.
+ * @param {Date|null} deletionScheduledFor - When the account will be purged.
+ * @returns {AppError|null}
+ */
+const getPendingDeletionRestriction = (deletionScheduledFor) => {
+  if (!deletionScheduledFor) {
+    return null;
+  }
+
+  return new AppError(
+    `This account is scheduled for deletion on ${new Date(deletionScheduledFor).toISOString()}. Restore it to log in again.`,
+    403,
+    'ACCOUNT_PENDING_DELETION'
+  );
+};
+
+/**
+ * Returns the auth-relevant state of a user, served from cache when fresh.
+ * @param {string} userId - The user ID from the access token.
+ * @returns {object|null} { passwordChangedAt, accountStatus, deletionScheduledFor, roles } or null if the user no longer exists.
+ */
+const getAuthState = async (userId) => {
+  const key = String(userId);
+  const now = Date.now();
+
+  const cached = stateCache.get(key);
+  if (cached && cached.expiresAt > now) {
+    return cached.state;
+  }
+
+  const user = await User.findById(userId).select('passwordChangedAt accountStatus deletionScheduledFor roles').lean();
+  const state = user
+    ? {
+      passwordChangedAt: user.passwordChangedAt || null,
+      accountStatus: user.accountStatus || null,
+      deletionScheduledFor: user.deletionScheduledFor || null,
+      roles: user.roles && user.roles.length > 0 ? user.roles : ['user'],
+    }
+    : null;
+
+  if (stateCache.size >= MAX_CACHE_ENTRIES) pruneExpired(now);
+  stateCache.set(key, { state, expiresAt: now + config.auth.stateCacheTtlSeconds * 1000 });
+
+  return state;
+};
+
+/**
+ * Drops the cached state so the next request re-reads it (call after changing it).
+ * @param {string} userId - The user whose state changed.
+ */
+const invalidateAuthState = (userId) => {
+  stateCache.delete(String(userId));
+};
+
+module.exports = {
+  getAccountRestriction,
+  getPendingDeletionRestriction,
+  getAuthState,
+  invalidateAuthState,
+};
@@ -3,35 +3,105 @@
 // This is decoupled from HTTP concerns (req/res).
 
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const PostService = require('./post.service');
+const TwoFactorService = require('./two-factor.service');
+const loginThrottle = require('./login-throttle.service');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 const storageUtils = require('../utils/storage'); // To handle cleanup
+const mailer = require('../utils/mailer');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { invalidateAuthState, getAccountRestriction, getPendingDeletionRestriction } = require('./auth-state.service');
+const signingKeyService = require('./signing-key.service');
 
-// Helper function to generate both tokens
-const generateAuthTokens = (user) => {
-  // Use a unique JWT ID (jti) for refresh tokens for blacklisting/rotation
-  const jti = `${user._id}-${Date.now()}`; // A simple unique string
-
-  const accessToken = jwt.sign(
-    { id: user._id, username: user.username },
-    config.jwt.secretAccess,
-    { expiresIn: config.jwt.accessExpiry }
+// Helper function to generate both tokens for a session
+const generateAuthTokens = async (user, session) => {
+  // The session ID (sid) ties both tokens to a device record; the family ID (fam) links
+  // every refresh token rotated out of that login; the unique JWT ID (jti) identifies the
+  // single refresh token the family currently accepts (rotation).
+  // HS256 or the active RS256/ES256 key, depending on config.jwt.algorithm
+  const accessToken = await signingKeyService.signAccessToken(
+    { id: user._id, username: user.username, roles: user.roles, sid: session._id }
   );
 
   const refreshToken = jwt.sign(
-    { id: user._id, jti }, // Store the unique ID in the token
+    { id: user._id, sid: session._id, fam: session.familyId, jti: session.jti },
     config.jwt.secretRefresh,
-    { expiresIn: config.jwt.refreshExpiry } // Remove the redundant jwtid option
+    { expiresIn: config.jwt.refreshExpiry }
   );
 
   return { accessToken, refreshToken };
 };
 
+// Helper to read the absolute expiry date out of a freshly signed token
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Helper to open a new session record for a successful login/registration
+// `context` carries the client metadata captured by the route ({ userAgent, ip }).
+const startSession = async (user, context = {}) => {
+  const session = new Session({
+    user: user._id,
+    familyId: uuidv4(),
+    jti: uuidv4(),
+    userAgent: context.userAgent,
+    ip: context.ip,
+  });
+
+  const tokens = await generateAuthTokens(user, session);
+  session.expiresAt = getTokenExpiry(tokens.refreshToken);
+  await session.save();
+
+  logger.info({ event: 'session_started', userId: user._id, sessionId: session._id });
+
+  return tokens;
+};
+
+// Helper to issue a fresh token pair for an existing session (rotating its JTI).
+// Returns null if the session is gone or revoked.
+const reissueSessionTokens = async (user, sessionId) => {
+  const session = await Session.findOne({ _id: sessionId, user: user._id, revokedAt: null });
+  if (!session) {
+    return null;
+  }
+
+  session.jti = uuidv4();
+  session.lastRefreshedAt = new Date();
+  const tokens = await generateAuthTokens(user, session);
+  session.expiresAt = getTokenExpiry(tokens.refreshToken);
+  await session.save();
+
+  return tokens;
+};
+
+// Helper to email a signed verification link for `email` (the current or the pending address).
+// The address is part of the signed payload, so a link stops working once the email changes again.
+const sendVerificationEmail = async (user, email) => {
+  const verificationToken = jwt.sign(
+    { id: user._id, email, purpose: 'email_verification' },
+    config.jwt.secretVerify,
+    { expiresIn: config.jwt.verifyExpiry }
+  );
+
+  const verifyUrl = `${config.clientUrl}/verify-email?token=${verificationToken}`;
+
+  await mailer.sendMail({
+    to: email,
+    subject: 'Verify your InsightAPI email address',
+    text: `Hi ${user.username},\n\nPlease confirm this email address by opening the link below:\n\n${verifyUrl}\n\n`
+      + 'If you did not create an account or change your email, you can ignore this email.',
+  });
+
+  await User.updateOne({ _id: user._id }, { $set: { verificationEmailSentAt: new Date() } });
+
+  logger.info({ event: 'verification_email_sent', userId: user._id });
+};
+
 // 1. Register a new user
-const registerUser = async ({ username, email, password }) => {
+const registerUser = async ({ username, email, password }, context = {}) => {
   // Check for existing user (Mongoose unique index handles race conditions, but this is friendlier)
   const existingUser = await User.findOne({ $or: [{ username }, { email }] });
   if (existingUser) {
@@ -39,26 +109,117 @@ const registerUser = async ({ username, email, password }) => {
   }
 
   const user = await User.create({ username, email, password });
+
+  // Registration succeeds even if the mail can't be sent; the user can ask for a resend
+  try {
+    await sendVerificationEmail(user, user.email);
+  } catch (error) {
+    logger.error({ event: 'verification_mail_failure', userId: user._id, error: error.message });
+  }
   
   // We don't return the password hash since 'select: false' is set on the schema.
-  const { accessToken, refreshToken } = generateAuthTokens(user);
+  const { accessToken, refreshToken } = await startSession(user, context);
+  
+  return { user, accessToken, refreshToken };
+};
+
+// Helper shared by every first factor (password, external identity provider):
+// account checks, then either a 2FA challenge or a new session.
+const completeLogin = async (user, context = {}) => {
+  // Only reveal a suspension to someone who proved who they are
+  const restriction = getAccountRestriction(user.accountStatus);
+  if (restriction) {
+    throw restriction;
+  }
+
+  // Deactivated accounts must be restored (POST /auth/account/restore) before logging in
+  const pendingDeletion = getPendingDeletionRestriction(user.deletionScheduledFor);
+  if (pendingDeletion) {
+    throw pendingDeletion;
+  }
+
+  // 2FA users get a short-lived "MFA pending" challenge instead of tokens.
+  // The login is completed by completeTwoFactorLogin() with a code from their app.
+  if (user.twoFactor && user.twoFactor.enabled) {
+    const mfaToken = jwt.sign(
+      { id: user._id, purpose: 'mfa_challenge' },
+      config.jwt.secretVerify,
+      { expiresIn: config.auth.mfaChallengeExpiry }
+    );
+
+    logger.info({ event: 'mfa_challenge_issued', userId: user._id });
+
+    return { user, mfaRequired: true, mfaToken };
+  }
+
+  const { accessToken, refreshToken } = await startSession(user, context);
   
   return { user, accessToken, refreshToken };
 };
 
 // 2. Log in an existing user
-const loginUser = async ({ email, password }) => {
+const loginUser = async ({ email, password }, context = {}) => {
+  // Per-account throttling: refuse early while this email is in a back-off period
+  const throttleKey = loginThrottle.keyForEmail(email);
+  loginThrottle.assertNotLocked(throttleKey);
+
   // Explicitly request the password field using select('+password')
   const user = await User.findOne({ email }).select('+password');
 
   // Check if user exists and password is correct
   if (!user || !(await user.comparePassword(password))) {
+    // Unknown emails are counted too, so lockouts don't reveal which accounts exist
+    loginThrottle.recordFailure(throttleKey, user && user._id);
     // Generic error to prevent timing attacks/enumeration
     throw new AppError('Invalid email or password.', 401, 'AUTH_FAILED');
   }
 
-  const { accessToken, refreshToken } = generateAuthTokens(user);
-  
+  loginThrottle.reset(throttleKey);
+
+  return completeLogin(user, context);
+};
+
+// 2b. Complete a 2FA login: exchange the challenge + a TOTP/recovery code for tokens
+const completeTwoFactorLogin = async ({ mfaToken, code, recoveryCode }, context = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(mfaToken, config.jwt.secretVerify);
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== 'mfa_challenge') {
+    throw new AppError('Two-factor challenge is invalid or has expired. Please log in again.', 401, 'MFA_CHALLENGE_INVALID');
+  }
+
+  // Codes are only 6 digits: throttle guesses per account just like passwords
+  const throttleKey = `mfa:${decoded.id}`;
+  loginThrottle.assertNotLocked(throttleKey);
+
+  const method = await TwoFactorService.verifySecondFactor(decoded.id, { code, recoveryCode });
+  if (!method) {
+    loginThrottle.recordFailure(throttleKey, decoded.id);
+    logger.warn({ event: 'mfa_code_rejected', userId: decoded.id });
+    throw new AppError('Invalid two-factor code.', 401, 'INVALID_2FA_CODE');
+  }
+
+  loginThrottle.reset(throttleKey);
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    throw new AppError('Two-factor challenge is invalid or has expired. Please log in again.', 401, 'MFA_CHALLENGE_INVALID');
+  }
+
+  const restriction = getAccountRestriction(user.accountStatus)
+    || getPendingDeletionRestriction(user.deletionScheduledFor);
+  if (restriction) {
+    throw restriction;
+  }
+
+  const { accessToken, refreshToken } = await startSession(user, context);
+
+  logger.info({ event: 'mfa_login_completed', userId: user._id, method });
+
   return { user, accessToken, refreshToken };
 };
 
@@ -66,34 +227,65 @@ const loginUser = async ({ email, password }) => {
 const refreshAuthTokens = async (refreshToken) => {
   // Verify the refresh token
   const decoded = jwt.verify(refreshToken, config.jwt.secretRefresh, { ignoreExpiration: false });
-  const { id: userId, jti: oldJti } = decoded;
+  const { id: userId, sid, fam, jti: oldJti } = decoded;
+
+  // Tokens issued before sessions/families existed can't be validated
+  if (!sid || !fam || !oldJti) {
+    throw new AppError('Invalid refresh token payload.', 401, 'AUTH_INVALID_TOKEN');
+  }
 
   const user = await User.findById(userId);
   if (!user) {
     throw new AppError('Invalid refresh token payload.', 401, 'AUTH_INVALID_TOKEN');
   }
 
-  // Check if the token has been blacklisted (e.g., after logout)
-  if (user.blacklistedRefreshTokens.includes(oldJti)) {
-    // Compromise detected: immediately blacklist ALL tokens for this user
-    // A more aggressive defense: blacklisting all future tokens for a period
-    // For now, we'll just throw an error.
-    await User.findByIdAndUpdate(userId, { $set: { blacklistedRefreshTokens: [] } }); // Simple cleanup
-    throw new AppError('Compromised refresh token used. All sessions logged out.', 401, 'AUTH_COMPROMISED');
+  // Suspended/banned/deactivated accounts can't mint new tokens
+  const restriction = getAccountRestriction(user.accountStatus)
+    || getPendingDeletionRestriction(user.deletionScheduledFor);
+  if (restriction) {
+    throw restriction;
   }
 
   // --- Token Rotation ---
-  // 1. Generate new tokens
-  const { accessToken: newAccessToken, refreshToken: newRefreshToken } = generateAuthTokens(user);
+  // 1. Generate new tokens in the same family
+  const newJti = uuidv4();
+  const { accessToken: newAccessToken, refreshToken: newRefreshToken } = await generateAuthTokens(user, { _id: sid, familyId: fam, jti: newJti });
 
-  // 2. Blacklist the old refresh token (prevents replay attack)
-  // We use $push to add the old JTI to the user's blacklist
-  user.blacklistedRefreshTokens.push(oldJti);
-  await user.save(); 
+  // 2. Atomically swap the family's JTI. The filter only matches while the presented
+  // token is still the current one, so two concurrent refreshes can't both succeed.
+  const session = await Session.findOneAndUpdate(
+    { _id: sid, user: userId, familyId: fam, jti: oldJti, revokedAt: null },
+    { $set: { jti: newJti, lastRefreshedAt: new Date(), expiresAt: getTokenExpiry(newRefreshToken) } },
+    { new: true }
+  );
+
+  if (!session) {
+    const family = await Session.findOne({ _id: sid, user: userId, familyId: fam }).lean();
+
+    // 3. Reuse detection: a validly signed token whose JTI is no longer current was
+    // already rotated out. Either the legitimate client or an attacker holds a stolen
+    // copy; we can't tell which, so the whole family is revoked.
+    if (family && family.jti !== oldJti) {
+      logger.warn({
+        event: 'security_refresh_token_reuse',
+        userId,
+        sessionId: sid,
+        familyId: fam,
+        jti: oldJti,
+        familyAlreadyRevoked: Boolean(family.revokedAt),
+      });
+
+      await Session.updateOne(
+        { _id: sid, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+      );
+
+      throw new AppError('Refresh token reuse detected. This session has been logged out.', 401, 'AUTH_COMPROMISED');
+    }
+
+    throw new AppError('Session has been revoked. Please log in.', 401, 'AUTH_SESSION_REVOKED');
+  }
 
-  // In a real-world scenario with high scale, this blacklist check/update
-  // would be more efficiently managed in a dedicated key-value store like Redis.
-  
   return { user, accessToken: newAccessToken, refreshToken: newRefreshToken };
 };
 
@@ -131,8 +323,22 @@ const updateUserProfile = async (userId, updateBody) => {
     throw new AppError('User not found.', 404, 'USER_NOT_FOUND');
   }
 
-  // 2. Find and update the user document
-  const updatedUser = await User.findByIdAndUpdate(userId, { $set: updateBody }, {
+  // 2. Email changes need proof of ownership: park the new address as `pendingEmail`
+  // and only switch once the verification link sent to it is used.
+  const { email: requestedEmail, ...directUpdates } = updateBody;
+  const pendingEmail = requestedEmail && requestedEmail.toLowerCase() !== oldUser.email
+    ? requestedEmail.toLowerCase()
+    : null;
+
+  if (pendingEmail) {
+    if (await User.exists({ email: pendingEmail })) {
+      throw new AppError('User with this username or email already exists.', 409, 'USER_EXISTS');
+    }
+    directUpdates.pendingEmail = pendingEmail;
+  }
+
+  // 3. Find and update the user document
+  const updatedUser = await User.findByIdAndUpdate(userId, { $set: directUpdates }, {
     new: true, // Return the updated document
     runValidators: true, // Run Mongoose validators
   }).select('-password -__v'); // Exclude sensitive fields
@@ -142,7 +348,7 @@ const updateUserProfile = async (userId, updateBody) => {
     throw new AppError('Profile update failed unexpectedly.', 500, 'UPDATE_FAILED');
   }
 
-  // 3. Denormalization Update Tax (If username changed)
+  // 4. Denormalization Update Tax (If username changed)
   if (isUsernameUpdate) {
     logger.info({ 
       event: 'denorm_update_triggered', 
@@ -153,18 +359,31 @@ const updateUserProfile = async (userId, updateBody) => {
     // Fire the bulk update to all the user's posts
     await PostService.bulkUpdateAuthorUsername(userId, updatedUser.username);
   }
+
+  // 5. Send the verification link to the new address
+  if (pendingEmail) {
+    try {
+      await sendVerificationEmail(updatedUser, pendingEmail);
+    } catch (error) {
+      logger.error({ event: 'verification_mail_failure', userId, error: error.message });
+    }
+  }
   
   return updatedUser.toObject();
 };
 
-// 4. Logout (revoke the refresh token)
+// 4. Logout (revoke the session the refresh token belongs to)
 const logoutUser = async (refreshToken) => {
   try {
     const decoded = jwt.verify(refreshToken, config.jwt.secretRefresh, { ignoreExpiration: true });
-    const { id: userId, jti } = decoded;
+    const { id: userId, sid } = decoded;
 
-    // Blacklist the token's JTI to prevent future use
-    await User.findByIdAndUpdate(userId, { $push: { blacklistedRefreshTokens: jti } });
+    if (sid) {
+      await Session.updateOne(
+        { _id: sid, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      );
+    }
     
     return true;
 
@@ -174,12 +393,236 @@ const logoutUser = async (refreshToken) => {
   }
 };
 
+// 5. List the user's active sessions (one per logged-in device)
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastRefreshedAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastRefreshedAt: session.lastRefreshedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId),
+  }));
+};
+
+// 6. Revoke a single session owned by the user
+const revokeSession = async (userId, sessionId) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'user_revoked' } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new AppError(`Session with ID ${sessionId} not found.`, 404, 'SESSION_NOT_FOUND');
+  }
+
+  logger.info({ event: 'session_revoked', userId, sessionId });
+};
+
+// Helper to revoke every active session of a user, optionally keeping one
+const revokeUserSessions = async (userId, { exceptSessionId, reason }) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+  logger.info({ event: 'sessions_revoked', userId, keptSessionId: exceptSessionId, reason, revokedCount: result.modifiedCount });
+
+  return result.modifiedCount;
+};
+
+// 7. "Log out everywhere else": revoke every session except the current one
+const revokeOtherSessions = async (userId, currentSessionId) => {
+  return revokeUserSessions(userId, { exceptSessionId: currentSessionId, reason: 'user_revoked' });
+};
+
+// 8. Start a password reset: email a single-use link to the account owner
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email });
+
+  // Unknown emails return silently so the endpoint can't be used to enumerate accounts
+  if (!user) {
+    logger.info({ event: 'password_reset_unknown_email' });
+    return;
+  }
+
+  const resetToken = generateToken();
+  const expiresAt = new Date(Date.now() + config.auth.passwordResetExpiryMinutes * 60 * 1000);
+
+  // Only the hash is persisted; requesting again replaces any previous token
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { passwordResetTokenHash: hashToken(resetToken), passwordResetExpiresAt: expiresAt } }
+  );
+
+  const resetUrl = `${config.clientUrl}/reset-password?token=${resetToken}`;
+
+  try {
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Reset your InsightAPI password',
+      text: `Hi ${user.username},\n\n`
+        + 'Someone (hopefully you) asked to reset your password. Use the link below within '
+        + `${config.auth.passwordResetExpiryMinutes} minutes:\n\n${resetUrl}\n\n`
+        + 'If you did not request this, you can ignore this email.',
+    });
+  } catch (error) {
+    // Don't surface delivery failures: a 500 only for known emails would leak which accounts exist
+    logger.error({ event: 'password_reset_mail_failure', userId: user._id, error: error.message });
+    return;
+  }
+
+  logger.info({ event: 'password_reset_requested', userId: user._id });
+};
+
+// 9. Complete a password reset with the emailed token
+const resetPassword = async (resetToken, newPassword) => {
+  const user = await User.findOne({
+    passwordResetTokenHash: hashToken(resetToken),
+    passwordResetExpiresAt: { $gt: new Date() },
+  });
+
+  if (!user) {
+    throw new AppError('Password reset token is invalid or has expired.', 400, 'RESET_TOKEN_INVALID');
+  }
+
+  // The pre-save hook hashes the new password
+  user.password = newPassword;
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpiresAt = undefined;
+  await user.save();
+  invalidateAuthState(user._id);
+
+  // Whoever knew the old password may still hold a refresh token: log out every device
+  await revokeUserSessions(user._id, { reason: 'password_reset' });
+
+  logger.info({ event: 'password_reset_completed', userId: user._id });
+};
+
+// 10. Confirm an email address using the signed link
+const verifyEmail = async (verificationToken) => {
+  const invalidLinkError = () => new AppError('Verification link is invalid or has expired.', 400, 'VERIFICATION_TOKEN_INVALID');
+
+  let decoded;
+  try {
+    decoded = jwt.verify(verificationToken, config.jwt.secretVerify);
+  } catch (error) {
+    throw invalidLinkError();
+  }
+
+  if (decoded.purpose !== 'email_verification') {
+    throw invalidLinkError();
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    throw invalidLinkError();
+  }
+
+  if (user.pendingEmail && user.pendingEmail === decoded.email) {
+    // Email change: the address may have been registered by someone else in the meantime
+    if (await User.exists({ email: decoded.email, _id: { $ne: user._id } })) {
+      throw new AppError('User with this username or email already exists.', 409, 'USER_EXISTS');
+    }
+    user.email = decoded.email;
+    user.pendingEmail = null;
+  } else if (user.email !== decoded.email) {
+    // Link was issued for an address the account no longer uses
+    throw invalidLinkError();
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  logger.info({ event: 'email_verified', userId: user._id });
+
+  return user;
+};
+
+// 11. Resend the verification link (throttled per account)
+const resendVerificationEmail = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found.', 404, 'USER_NOT_FOUND');
+  }
+
+  // A pending email change takes priority over the current address
+  const targetEmail = user.pendingEmail || (!user.emailVerified ? user.email : null);
+  if (!targetEmail) {
+    throw new AppError('Email address is already verified.', 400, 'EMAIL_ALREADY_VERIFIED');
+  }
+
+  if (user.verificationEmailSentAt) {
+    const cooldownMs = config.auth.verificationResendCooldownSeconds * 1000;
+    const retryAfter = Math.ceil((user.verificationEmailSentAt.getTime() + cooldownMs - Date.now()) / 1000);
+
+    if (retryAfter > 0) {
+      const error = new AppError('Verification email was sent recently. Try again later.', 429, 'VERIFICATION_THROTTLED');
+      error.retryAfter = retryAfter;
+      throw error;
+    }
+  }
+
+  await sendVerificationEmail(user, targetEmail);
+};
+
+// 12. Change the password of a logged-in user
+// Returns a fresh token pair for the current session: the change invalidates every
+// access token issued before it, including the one used for this request.
+const changePassword = async (userId, { currentPassword, newPassword }, { sessionId, context } = {}) => {
+  const user = await User.findById(userId).select('+password');
+  if (!user) {
+    throw new AppError('User not found.', 404, 'USER_NOT_FOUND');
+  }
+
+  if (!(await user.comparePassword(currentPassword))) {
+    throw new AppError('Current password is incorrect.', 400, 'INVALID_CURRENT_PASSWORD');
+  }
+
+  if (await user.comparePassword(newPassword)) {
+    throw new AppError('New password must be different from the current password.', 400, 'PASSWORD_UNCHANGED');
+  }
+
+  // The pre-save hook hashes the password and stamps passwordChangedAt
+  user.password = newPassword;
+  await user.save();
+  invalidateAuthState(user._id);
+
+  // Keep this device logged in, log out every other one
+  await revokeUserSessions(user._id, { exceptSessionId: sessionId, reason: 'password_changed' });
+
+  const tokens = (sessionId && await reissueSessionTokens(user, sessionId)) || await startSession(user, context);
+
+  logger.info({ event: 'password_changed', userId: user._id });
+
+  return { user, ...tokens };
+};
+
 module.exports = {
   registerUser,
   loginUser,
+  completeTwoFactorLogin,
   refreshAuthTokens,
   logoutUser,
   generateAuthTokens, // Exported for potential internal use/testing
   updateUserProfile, 
   updateUserAvatar, // Export new function
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeUserSessions,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  changePassword,
+  completeLogin,
 };
@@ -2,25 +2,38 @@
 // Business logic for Comment management.
 
 const Comment = require('../models/Comment');
+const Post = require('../models/Post');
 const PostService = require('./post.service');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
 const mongoose = require('mongoose');
 const counterService = require('./counter.service'); 
+const { renderCommentHtml } = require('../utils/markdown');
 
 // 1. Create a new comment
 const createComment = async ({ postId, content, authorId, authorUsername }) => {
-  // 1.1. Create the comment
+  // 1.1. Only posts the commenter can read can be commented on (404 otherwise)
+  const post = await PostService.getPostById(postId, { id: authorId });
+  // Not even the author's own drafts: a published post can't go back, so comments only ever
+  // exist on published posts (search and listings rely on this)
+  if (!PostService.isPublished(post)) {
+    throw new AppError('Comments open once the post is published.', 409, 'POST_NOT_PUBLISHED');
+  }
+
+  // 1.2. Create the comment
   const comment = await Comment.create({
     postId,
     content,
+    contentHtml: renderCommentHtml(content),
+    postVisibility: post.visibility,
+    postAuthorId: post.author.id,
     author: {
       id: authorId,
       username: authorUsername,
     },
   });
 
-  // 1.2. CRITICAL: Atomically increment the commentCount on the Post
+  // 1.3. CRITICAL: Atomically increment the commentCount on the Post
   try {
     await PostService.updateCommentCount(postId, 1);
   } catch (error) {
@@ -39,8 +52,15 @@ const createComment = async ({ postId, content, authorId, authorUsername }) => {
   return comment.toObject();
 };
 
-// 2. Get comments for a specific post (Paginated)
-const getCommentsForPost = async (postId, query) => {
+// 2. Get comments for a specific post (Paginated), if `viewer` (req.user, if any) may read the post
+const getCommentsForPost = async (postId, query, viewer = null) => {
+  // A post that is gone has no live comments left; one the viewer can't read (including one that
+  // isn't published yet) is reported as missing
+  const post = await Post.findById(postId).select('status visibility author.id').lean();
+  if (post && !(PostService.isPublished(post) && await PostService.canViewPost(post.visibility, post.author.id, viewer))) {
+    throw new AppError(`Post with ID ${postId} not found.`, 404, 'POST_NOT_FOUND');
+  }
+
   // Use a simple, non-paginated fetch for Phase 1, sorted by oldest first (like a feed)
   const comments = await Comment.find({ postId })
     .sort({ createdAt: 1 }) // Show oldest first (typical for comment threads)
@@ -61,7 +81,7 @@ const updateComment = async (commentId, updateBody) => {
   
   const comment = await Comment.findByIdAndUpdate(
     commentId, 
-    { $set: updateBody },
+    { $set: { ...updateBody, contentHtml: renderCommentHtml(updateBody.content) } },
     { new: true, runValidators: true }
   ).lean();
 
@@ -72,9 +92,13 @@ const updateComment = async (commentId, updateBody) => {
   return comment;
 };
 
-// 4. Delete a comment
-const deleteComment = async (commentId) => {
-  const comment = await Comment.findByIdAndDelete(commentId);
+// 4. Delete a comment: moves it to the trash, restorable until the trash purge job runs
+const deleteComment = async (commentId, actorId) => {
+  const comment = await Comment.findOneAndUpdate(
+    { _id: commentId },
+    { $set: { deletedAt: new Date(), deletedBy: actorId } },
+    { new: true, timestamps: false }
+  );
   
   if (!comment) {
     throw new AppError(`Comment with ID ${commentId} not found.`, 404, 'COMMENT_NOT_FOUND');
@@ -96,7 +120,53 @@ const deleteComment = async (commentId) => {
   return comment.toObject();
 };
 
+// Loads a comment from the trash (for the restore authorization check)
+const getTrashedComment = async (commentId) => {
+  const comment = await Comment.findOne({ _id: commentId, deletedAt: { $ne: null } }).lean();
+
+  if (!comment) {
+    throw new AppError(`Comment with ID ${commentId} is not in the trash.`, 404, 'TRASH_ITEM_NOT_FOUND');
+  }
+
+  return comment;
+};
+
+// Takes a comment out of the trash. Only possible while its post is live:
+// comments trashed along with their post come back by restoring the post.
+const restoreComment = async (commentId) => {
+  const trashed = await getTrashedComment(commentId);
+
+  if (trashed.deletedWithPost || !(await Post.exists({ _id: trashed.postId }))) {
+    throw new AppError('The post of this comment was deleted. Restore the post first.', 409, 'POST_DELETED');
+  }
+
+  const comment = await Comment.findOneAndUpdate(
+    { _id: commentId, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: true, timestamps: false }
+  ).lean();
+
+  if (!comment) {
+    throw new AppError(`Comment with ID ${commentId} is not in the trash.`, 404, 'TRASH_ITEM_NOT_FOUND');
+  }
+
+  await PostService.updateCommentCount(comment.postId, 1);
+
+  return comment;
+};
+
 // NEW: Simple fetch for authorization check
+// Get a comment if `viewer` may read the post it is on (see post.service.js visibility), else 404
+const getVisibleComment = async (commentId, viewer) => {
+  const comment = await Comment.findById(commentId).lean();
+
+  if (!comment || !(await PostService.canViewPost(comment.postVisibility, comment.postAuthorId, viewer))) {
+    throw new AppError(`Comment with ID ${commentId} not found.`, 404, 'COMMENT_NOT_FOUND');
+  }
+
+  return comment;
+};
+
 const getCommentById = async (commentId) => {
   // Use .lean() and select only the fields needed for authorization (author ID)
   const comment = await Comment.findById(commentId).select('author.id postId').lean();
@@ -115,6 +185,9 @@ module.exports = {
   getCommentsForPost,
   updateComment,
   deleteComment,
+  getTrashedComment,
+  restoreComment,
   getCommentById,
+  getVisibleComment,
   updateLikeCount, // Export new function
 };
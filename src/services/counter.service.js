@@ -30,10 +30,12 @@ const updateCounter = async (modelName, resourceId, counterField, incrementValue
   projection[counterField] = 1;
 
   // Execute the atomic update
+  // Trashed documents can't gain likes/comments, but decrements (e.g., an unlike) still apply
+  // so their counters are right if they are restored.
   const updatedDoc = await Model.findByIdAndUpdate(
     resourceId, 
     updateOperation,
-    { new: true, select: projection } 
+    { new: true, select: projection, withDeleted: incrementValue < 0 } 
   ).lean();
 
   if (!updatedDoc) {
@@ -45,6 +47,38 @@ const updateCounter = async (modelName, resourceId, counterField, incrementValue
   return updatedDoc[counterField];
 };
 
+/**
+ * Applies many counter adjustments to one model in a single bulkWrite (used by cascades).
+ * Missing documents are silently skipped, unlike updateCounter.
+ * @param {string} modelName - The name of the Mongoose model (e.g., 'Post').
+ * @param {string} counterField - The name of the field to update (e.g., 'likeCount').
+ * @param {Map<string, number>} incrementsById - Document ID -> value to add (negative to decrement).
+ * @returns {number} The number of documents modified.
+ */
+const bulkUpdateCounters = async (modelName, counterField, incrementsById) => {
+  const Model = mongoose.model(modelName);
+
+  const operations = [];
+  for (const [resourceId, incrementValue] of incrementsById) {
+    if (incrementValue !== 0) {
+      operations.push({
+        updateOne: {
+          filter: { _id: resourceId },
+          update: { $inc: { [counterField]: incrementValue } },
+        },
+      });
+    }
+  }
+
+  if (operations.length === 0) {
+    return 0;
+  }
+
+  const result = await Model.bulkWrite(operations, { ordered: false });
+  return result.modifiedCount;
+};
+
 module.exports = {
   updateCounter,
+  bulkUpdateCounters,
 };
@@ -0,0 +1,279 @@
+// data-export.service.js
+// Personal data export: builds a ZIP archive of everything we hold about a user in the
+// background, stores it privately and hands out short-lived download links.
+
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const archiver = require('archiver');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const mailer = require('../utils/mailer');
+const storageUtils = require('../utils/storage');
+
+// Archives are staged next to Multer's uploads so the final move stays on one filesystem
+const STAGING_DIR = path.join(__dirname, '..', '..', 'temp');
+
+// Pending exports older than this were lost (e.g., a restart) and are picked up by the job
+const STALE_PENDING_MS = 5 * 60 * 1000;
+// Exports still processing after this were interrupted mid-build; the job marks them failed
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+// Helper for the path an export's archive is staged at
+const stagingPathFor = exportId => path.join(STAGING_DIR, `export-${exportId}.zip`);
+
+// Helper to fail the exports matching `filter` that have been processing for too long;
+// returns how many it failed
+const failInterruptedExports = async (filter) => {
+  const interrupted = await DataExport.find({
+    ...filter,
+    status: 'processing',
+    startedAt: { $lte: new Date(Date.now() - STALE_PROCESSING_MS) },
+  }).select('_id user').lean();
+
+  let failedCount = 0;
+  for (const dataExport of interrupted) {
+    // Only fails it if it didn't finish in the meantime
+    const failed = await DataExport.updateOne(
+      { _id: dataExport._id, status: 'processing' },
+      { $set: { status: 'failed', error: 'Export was interrupted.', completedAt: new Date() } }
+    );
+    if (failed.modifiedCount > 0) {
+      failedCount += 1;
+      await fsPromises.rm(stagingPathFor(dataExport._id), { force: true });
+      logger.warn({ event: 'data_export_interrupted', exportId: dataExport._id, userId: dataExport.user });
+    }
+  }
+
+  return failedCount;
+};
+
+// Helper to collect the user's data (secrets are excluded by the schemas' `select: false`)
+const collectUserData = async (userId) => {
+  const [profile, posts, comments, likes, following, sessions, accessTokens] = await Promise.all([
+    User.findById(userId).lean(),
+    // Trashed content is still the user's data (it carries its `deletedAt`)
+    Post.find({ 'author.id': userId }).setOptions({ withDeleted: true }).sort({ createdAt: 1 }).lean(),
+    Comment.find({ 'author.id': userId }).setOptions({ withDeleted: true }).sort({ createdAt: 1 }).lean(),
+    Like.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Follow.find({ follower: userId }).select('following status createdAt').sort({ createdAt: 1 }).lean(),
+    // Token identifiers are internal and useless outside the service
+    Session.find({ user: userId }).select('-jti -familyId').sort({ createdAt: 1 }).lean(),
+    PersonalAccessToken.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+  ]);
+
+  return { profile, posts, comments, likes, following, sessions, accessTokens };
+};
+
+// Helper to list the stored files that belong in the archive: the uploaded avatar and post images
+const collectUserFiles = (data) => {
+  const files = [];
+
+  // Only uploaded avatars are personal data; the default image is not
+  if (data.profile.avatar && data.profile.avatar.startsWith('/public/avatars/')) {
+    files.push({ fileKey: data.profile.avatar, name: `avatar/${path.basename(data.profile.avatar)}` });
+  }
+  for (const post of data.posts) {
+    for (const attachment of post.attachments || []) {
+      files.push({ fileKey: attachment.url, name: `posts/${post._id}/${path.basename(attachment.url)}` });
+    }
+  }
+
+  return files;
+};
+
+// Helper to write the archive to disk; resolves once it is fully flushed.
+// Files are read one at a time, so only one of them is held in memory.
+const writeArchive = async (filePath, data, files) => {
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  const done = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    archive.on('error', reject);
+    output.on('error', reject);
+  });
+  // Awaited below; this only keeps an early failure from going unhandled while a file is read
+  done.catch(() => {});
+
+  archive.pipe(output);
+  for (const [name, value] of Object.entries(data)) {
+    archive.append(JSON.stringify(value, null, 2), { name: `${name}.json` });
+  }
+  for (const file of files) {
+    // Files missing from storage are left out rather than failing the whole export
+    const contents = await storageUtils.readFileFromCloud(file.fileKey);
+    if (contents) {
+      const written = new Promise(resolve => archive.once('entry', resolve));
+      archive.append(contents, { name: file.name });
+      await Promise.race([written, done]);
+    }
+  }
+  await archive.finalize();
+
+  return done;
+};
+
+// 1. Build one export (idempotent: only a 'pending' export can be claimed)
+const processExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!dataExport) {
+    return null; // Already claimed by another run
+  }
+
+  const stagingPath = stagingPathFor(dataExport._id);
+
+  try {
+    const data = await collectUserData(dataExport.user);
+    if (!data.profile) {
+      throw new Error('User no longer exists.');
+    }
+
+    await fsPromises.mkdir(STAGING_DIR, { recursive: true });
+    await writeArchive(stagingPath, data, collectUserFiles(data));
+    const { size } = await fsPromises.stat(stagingPath);
+    const fileKey = await storageUtils.uploadPrivateFile(stagingPath, `${dataExport._id}.zip`, 'exports');
+
+    dataExport.status = 'ready';
+    dataExport.fileKey = fileKey;
+    dataExport.sizeBytes = size;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + config.auth.dataExportRetentionHours * 60 * 60 * 1000);
+    await dataExport.save();
+
+    logger.info({ event: 'data_export_ready', exportId: dataExport._id, userId: dataExport.user, sizeBytes: size });
+
+    try {
+      await mailer.sendMail({
+        to: data.profile.email,
+        subject: 'Your InsightAPI data export is ready',
+        text: `Hi ${data.profile.username},\n\nYour data export is ready to download until `
+          + `${dataExport.expiresAt.toUTCString()}.\n\nSign in and open your account settings to get it.`,
+      });
+    } catch (error) {
+      logger.error({ event: 'data_export_mail_failure', exportId: dataExport._id, error: error.message });
+    }
+  } catch (error) {
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    dataExport.completedAt = new Date();
+    await dataExport.save();
+    await fsPromises.rm(stagingPath, { force: true });
+
+    logger.error({ event: 'data_export_failure', exportId: dataExport._id, userId: dataExport.user, error: error.message });
+  }
+
+  return dataExport;
+};
+
+// 2. Request a new export; it is built in the background and polled via getExport()
+const requestExport = async (userId) => {
+  // An interrupted export would otherwise hold the user's in-progress slot until the job runs
+  await failInterruptedExports({ user: userId });
+
+  let dataExport;
+  try {
+    dataExport = await DataExport.create({ user: userId });
+  } catch (error) {
+    // One export in progress per user (unique index), whichever request got there first
+    if (error.code === 11000) {
+      throw new AppError('A data export is already being prepared.', 409, 'EXPORT_IN_PROGRESS');
+    }
+    throw error;
+  }
+
+  // Don't make the client wait; failures are recorded on the export itself
+  setImmediate(() => {
+    processExport(dataExport._id).catch((error) => {
+      logger.error({ event: 'data_export_failure', exportId: dataExport._id, error: error.message });
+    });
+  });
+
+  return dataExport;
+};
+
+// 3. Status of one of the user's exports, with a fresh signed link once it is ready
+const getExport = async (userId, exportId) => {
+  const dataExport = await DataExport.findOne({ _id: exportId, user: userId }).lean();
+  if (!dataExport) {
+    throw new AppError('Data export not found.', 404, 'EXPORT_NOT_FOUND');
+  }
+
+  const result = {
+    id: dataExport._id,
+    status: dataExport.status,
+    createdAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: dataExport.expiresAt,
+    sizeBytes: dataExport.sizeBytes,
+  };
+
+  if (dataExport.status === 'ready') {
+    // The link never outlives the archive itself
+    const secondsLeft = Math.floor((new Date(dataExport.expiresAt).getTime() - Date.now()) / 1000);
+    const linkSeconds = Math.min(config.storage.signedUrlExpiryMinutes * 60, secondsLeft);
+    if (linkSeconds > 0) {
+      result.download = storageUtils.getSignedDownloadUrl(dataExport.fileKey, linkSeconds);
+    }
+  }
+
+  return result;
+};
+
+// Helper to delete an export together with its archive
+const removeExport = async (dataExport) => {
+  if (dataExport.fileKey) {
+    await storageUtils.deleteFileFromCloud(dataExport.fileKey);
+  }
+  await DataExport.deleteOne({ _id: dataExport._id });
+};
+
+// 4. Delete every export of a user (used by account deletion)
+const deleteUserExports = async (userId) => {
+  const exports = await DataExport.find({ user: userId }).lean();
+  for (const dataExport of exports) {
+    await removeExport(dataExport);
+  }
+};
+
+// 5. Maintenance (run by the data export job): delete expired archives, resume lost exports,
+// fail interrupted ones (the user can then request a new export)
+const runMaintenance = async () => {
+  const expired = await DataExport.find({ expiresAt: { $ne: null, $lte: new Date() } }).lean();
+  for (const dataExport of expired) {
+    await removeExport(dataExport);
+  }
+
+  const stale = await DataExport.find({
+    status: 'pending',
+    createdAt: { $lte: new Date(Date.now() - STALE_PENDING_MS) },
+  }).select('_id').lean();
+  for (const { _id } of stale) {
+    await processExport(_id);
+  }
+
+  const failedCount = await failInterruptedExports({});
+
+  return { deleted: expired.length, resumed: stale.length, failed: failedCount };
+};
+
+module.exports = {
+  requestExport,
+  processExport,
+  getExport,
+  deleteUserExports,
+  runMaintenance,
+};
@@ -0,0 +1,85 @@
+// follow.service.js
+// Business logic for following users. Following someone gives access to the posts they
+// share with followers only, so it takes their consent: a follow starts as a request they
+// accept, and they can remove any follower later.
+
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+
+// Follows from before requests existed have no `status` and count as accepted
+const ACCEPTED_FILTER = { status: { $in: ['accepted', null] } };
+
+// 1. Ask to follow a user (idempotent: asking again, or once accepted, is not an error)
+// Returns the state of the follow: 'pending' until the user accepts it, then 'accepted'.
+const followUser = async (followerId, userId) => {
+  if (String(followerId) === String(userId)) {
+    throw new AppError('You cannot follow yourself.', 400, 'CANNOT_FOLLOW_SELF');
+  }
+
+  if (!(await User.exists({ _id: userId }))) {
+    throw new AppError(`User with ID ${userId} not found.`, 404, 'USER_NOT_FOUND');
+  }
+
+  const follow = await Follow.findOneAndUpdate(
+    { follower: followerId, following: userId },
+    { $setOnInsert: { follower: followerId, following: userId, status: 'pending' } },
+    { upsert: true, new: true }
+  ).lean();
+
+  return follow.status || 'accepted';
+};
+
+// 2. Unfollow a user, or withdraw a pending request (idempotent as well)
+const unfollowUser = async (followerId, userId) => {
+  await Follow.deleteOne({ follower: followerId, following: userId });
+};
+
+// 3. Pending requests to follow `userId`, oldest first, with the requesting users' public profile
+const getFollowRequests = async (userId) => {
+  const requests = await Follow.find({ following: userId, status: 'pending' }).sort({ createdAt: 1 }).lean();
+  const users = await User.find({ _id: { $in: requests.map(request => request.follower) } })
+    .select('username avatar')
+    .lean();
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+
+  // Users deleted since they asked are left out (their follows are removed by the account purge)
+  return requests
+    .filter(request => usersById.has(String(request.follower)))
+    .map(request => ({ user: usersById.get(String(request.follower)), requestedAt: request.createdAt }));
+};
+
+// 4. Accept a pending request to follow `userId`
+const acceptFollower = async (userId, followerId) => {
+  const follow = await Follow.findOneAndUpdate(
+    { follower: followerId, following: userId, status: 'pending' },
+    { $set: { status: 'accepted' } }
+  );
+
+  if (!follow) {
+    throw new AppError(`No pending follow request from user ${followerId}.`, 404, 'FOLLOW_REQUEST_NOT_FOUND');
+  }
+};
+
+// 5. Remove a follower of `userId`, or decline their request (idempotent)
+const removeFollower = async (userId, followerId) => {
+  await Follow.deleteOne({ follower: followerId, following: userId });
+};
+
+// 6. Whether `followerId` follows `userId` (with their consent)
+const isFollowing = async (followerId, userId) => Boolean(
+  await Follow.exists({ follower: followerId, following: userId, ...ACCEPTED_FILTER })
+);
+
+// 7. IDs of everyone `followerId` follows (to filter feeds by visibility)
+const getFollowedIds = async (followerId) => Follow.find({ follower: followerId, ...ACCEPTED_FILTER }).distinct('following');
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  getFollowRequests,
+  acceptFollower,
+  removeFollower,
+  isFollowing,
+  getFollowedIds,
+};
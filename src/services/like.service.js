@@ -14,8 +14,20 @@ const getTargetService = (onModel) => {
   throw new AppError(`Invalid resource type for liking: ${onModel}`, 400, 'INVALID_MODEL');
 };
 
+// Helper to make sure the user can read what they like; hidden posts (and comments on them) are 404s
+const assertVisibleToUser = async (onModel, resourceId, userId) => {
+  const viewer = { id: userId };
+  if (onModel === 'Post') {
+    await PostService.getPostById(resourceId, viewer);
+  } else if (onModel === 'Comment') {
+    await CommentService.getVisibleComment(resourceId, viewer);
+  }
+};
+
 // 1. Like a resource (Post or Comment)
 const likeResource = async ({ userId, resourceId, onModel }) => {
+  await assertVisibleToUser(onModel, resourceId, userId);
+
   // 1.1. Check if the like already exists (unique index constraint handles this, but a query is cleaner for checking)
   const existingLike = await Like.findOne({ userId, resourceId, onModel });
 
@@ -0,0 +1,138 @@
+// login-throttle.service.js
+// Per-account login throttling. Counts failed attempts per login identifier (normalized email),
+// applies exponential back-off once the free attempts are used up, and resets on success.
+// Complements the per-IP rateLimiter, which can't see credential stuffing spread across many IPs.
+
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/tokens');
+const config = require('../config/config');
+
+// Store: { key: { failures, lockedUntil, lastFailureAt } }
+// In production, this MUST be Redis so every instance sees the same counters.
+// Entries are kept in order of their last failure (re-inserted on every failure), oldest first.
+const attemptStore = new Map();
+
+// Every failed login adds a key, including for unknown emails. Past this size, expired entries
+// are pruned and, if that isn't enough (credential stuffing), the least recently failed unlocked
+// ones are evicted. Locked keys are never evicted: a flood of made-up emails must not lift a lockout.
+const MAX_STORE_ENTRIES = 10000;
+// A full store is pruned down to this size, so the sweep runs once per batch of new keys, not per failure
+const PRUNE_TARGET_ENTRIES = Math.floor(MAX_STORE_ENTRIES * 0.9);
+
+// Helper to build the store key for an email. Unknown emails are tracked exactly like real
+// ones, so lockout behaviour never reveals whether an account exists.
+const keyForEmail = (email) => `login:${String(email).trim().toLowerCase()}`;
+
+// Helper to tell whether an entry has nothing left to enforce (not locked, failures past the reset window)
+const isExpired = (entry, now) => entry.lockedUntil <= now
+  && now - entry.lastFailureAt > config.auth.loginThrottle.resetAfterSeconds * 1000;
+
+// Helper to read an entry, forgetting failures older than the reset window
+const getEntry = (key, now) => {
+  const entry = attemptStore.get(key);
+  if (!entry) return null;
+
+  if (isExpired(entry, now)) {
+    attemptStore.delete(key);
+    return null;
+  }
+
+  return entry;
+};
+
+// Helper to make room for new entries once the store is full: drops expired entries, then the
+// oldest unlocked ones. Returns false if every entry left is locked (nothing may be dropped).
+const makeRoom = (now) => {
+  for (const [key, entry] of attemptStore) {
+    if (isExpired(entry, now)) attemptStore.delete(key);
+  }
+
+  let evicted = 0;
+  for (const [key, entry] of attemptStore) {
+    if (attemptStore.size <= PRUNE_TARGET_ENTRIES) break;
+    if (entry.lockedUntil > now) continue;
+    attemptStore.delete(key);
+    evicted += 1;
+  }
+  if (evicted > 0) {
+    logger.warn({ event: 'login_throttle_evicted', evicted });
+  }
+
+  return attemptStore.size < MAX_STORE_ENTRIES;
+};
+
+/**
+ * Throws AUTH_LOCKED (429, with retryAfter) while the key is in a back-off period.
+ * Call BEFORE checking credentials so locked attempts cost nothing and reveal nothing.
+ * @param {string} key - Throttle key (see keyForEmail).
+ */
+const assertNotLocked = (key) => {
+  const now = Date.now();
+  const entry = getEntry(key, now);
+
+  if (entry && entry.lockedUntil > now) {
+    const error = new AppError('Too many failed login attempts. Try again later.', 429, 'AUTH_LOCKED');
+    error.retryAfter = Math.ceil((entry.lockedUntil - now) / 1000);
+    throw error;
+  }
+};
+
+/**
+ * Records a failed attempt. Once `freeAttempts` failures have accumulated, every further
+ * failure locks the key for baseLockoutSeconds * 2^(extra failures), capped at maxLockoutSeconds.
+ * @param {string} key - Throttle key.
+ * @param {string} [userId] - The account the attempt was for, if it exists (for the logs).
+ */
+const recordFailure = (key, userId = null) => {
+  const now = Date.now();
+  const { freeAttempts, baseLockoutSeconds, maxLockoutSeconds } = config.auth.loginThrottle;
+  const entry = getEntry(key, now) || { failures: 0, lockedUntil: 0, lastFailureAt: now };
+
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+
+  if (entry.failures >= freeAttempts) {
+    const exponent = entry.failures - freeAttempts;
+    const lockoutSeconds = Math.min(baseLockoutSeconds * (2 ** exponent), maxLockoutSeconds);
+    entry.lockedUntil = now + lockoutSeconds * 1000;
+
+    // Keys hold the typed email (often mistyped): logs get a hash to correlate lockouts instead
+    logger.warn({ event: 'login_lockout', userId, keyHash: hashToken(key).slice(0, 16), failures: entry.failures, lockoutSeconds });
+  }
+
+  // Re-insert so the store stays ordered by last failure (a tracked key always fits back in)
+  const isTracked = attemptStore.delete(key);
+  if (!isTracked && attemptStore.size >= MAX_STORE_ENTRIES && !makeRoom(now)) {
+    // Only locked keys left: they are kept, this new key goes untracked until some expire
+    logger.warn({ event: 'login_throttle_full' });
+    return;
+  }
+  attemptStore.set(key, entry);
+};
+
+/**
+ * Clears the counters after a successful login.
+ * @param {string} key - Throttle key.
+ */
+const reset = (key) => {
+  attemptStore.delete(key);
+};
+
+// Clears every counter (used by tests)
+const resetAll = () => {
+  attemptStore.clear();
+};
+
+// Number of keys being tracked (used by tests)
+const size = () => attemptStore.size;
+
+module.exports = {
+  keyForEmail,
+  assertNotLocked,
+  recordFailure,
+  reset,
+  resetAll,
+  size,
+  MAX_STORE_ENTRIES,
+};
@@ -0,0 +1,319 @@
+// oidc.service.js
+// Login with an external OpenID Connect provider (authorization code flow + PKCE).
+// Handles discovery, the code exchange, ID token verification against the provider's JWKS,
+// and mapping external identities onto User records (sign-up on first login, linking).
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const AuthService = require('./auth.service');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { generateToken } = require('../utils/tokens');
+
+// Discovery documents and signing keys, keyed by issuer/JWKS URL.
+// Keys are re-fetched when a token names an unknown `kid` (provider key rotation).
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const USERNAME_MAX_BASE = 24; // Leaves room for a "_12345" collision suffix within 30 chars
+
+// Helper to refuse every OIDC operation while no provider is configured
+const assertEnabled = () => {
+  if (!config.oidc.issuer || !config.oidc.clientId) {
+    throw new AppError('OpenID Connect login is not configured.', 404, 'OIDC_DISABLED');
+  }
+};
+
+// Helper to call the provider; any failure is reported as a gateway error
+const fetchJson = async (url, options) => {
+  let response;
+  let body = null;
+  try {
+    response = await fetch(url, options);
+    body = await response.json();
+  } catch (error) {
+    logger.error({ event: 'oidc_provider_unreachable', url, error: error.message });
+    throw new AppError('The identity provider could not be reached.', 502, 'OIDC_PROVIDER_ERROR');
+  }
+
+  if (!response.ok) {
+    logger.error({ event: 'oidc_provider_error', url, status: response.status, error: body && body.error });
+    throw new AppError('The identity provider returned an error.', 502, 'OIDC_PROVIDER_ERROR');
+  }
+
+  return body;
+};
+
+const getProviderMetadata = async () => {
+  const issuer = config.oidc.issuer.replace(/\/+$/, '');
+  if (!metadataCache.has(issuer)) {
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer !== issuer) {
+      throw new AppError('The identity provider metadata is invalid.', 502, 'OIDC_PROVIDER_ERROR');
+    }
+    metadataCache.set(issuer, metadata);
+  }
+  return metadataCache.get(issuer);
+};
+
+const getSigningKey = async (jwksUri, kid, { refresh = false } = {}) => {
+  if (refresh || !jwksCache.has(jwksUri)) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, keys);
+  }
+
+  const jwk = jwksCache.get(jwksUri).find(key => key.kid === kid && (!key.use || key.use === 'sig'));
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+const base64UrlSha256 = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+/**
+ * Builds the provider's authorization URL and the signed state that must come back with the code.
+ * The state token carries the PKCE verifier and nonce, so no server-side storage is needed.
+ * @param {object} options - { mode: 'login'|'link', userId } (userId is the account to link to).
+ * @returns {{ authorizationUrl: string, stateToken: string }}
+ */
+const createAuthorizationRequest = async ({ mode = 'login', userId = null } = {}) => {
+  assertEnabled();
+  const metadata = await getProviderMetadata();
+
+  const state = generateToken(16);
+  const nonce = generateToken(16);
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.oidc.clientId,
+    redirect_uri: config.oidc.redirectUri,
+    scope: config.oidc.scopes,
+    state,
+    nonce,
+    code_challenge: base64UrlSha256(codeVerifier),
+    code_challenge_method: 'S256',
+  });
+
+  const stateToken = jwt.sign(
+    { purpose: 'oidc_state', state, nonce, codeVerifier, mode, userId },
+    config.jwt.secretVerify,
+    { expiresIn: config.oidc.stateExpiry }
+  );
+
+  return { authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`, stateToken };
+};
+
+// Helper to exchange the authorization code for the ID token (client_secret_basic when confidential)
+const exchangeCode = async (metadata, { code, codeVerifier }) => {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (config.oidc.clientSecret) {
+    const credentials = `${encodeURIComponent(config.oidc.clientId)}:${encodeURIComponent(config.oidc.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.oidc.redirectUri,
+      client_id: config.oidc.clientId,
+      code_verifier: codeVerifier,
+    }),
+  });
+
+  if (!tokens.id_token) {
+    throw new AppError('The identity provider did not return an ID token.', 502, 'OIDC_PROVIDER_ERROR');
+  }
+  return tokens.id_token;
+};
+
+// Helper to verify the ID token's signature, issuer, audience, expiry and nonce
+const verifyIdToken = async (metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new AppError('The ID token is malformed.', 401, 'OIDC_TOKEN_INVALID');
+  }
+
+  const kid = decoded.header.kid;
+  const key = await getSigningKey(metadata.jwks_uri, kid)
+    || await getSigningKey(metadata.jwks_uri, kid, { refresh: true });
+  if (!key) {
+    throw new AppError('The ID token is signed with an unknown key.', 401, 'OIDC_TOKEN_INVALID');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: metadata.issuer,
+      audience: config.oidc.clientId,
+    });
+  } catch (error) {
+    logger.warn({ event: 'oidc_id_token_rejected', error: error.message });
+    throw new AppError('The ID token is invalid or has expired.', 401, 'OIDC_TOKEN_INVALID');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new AppError('The ID token does not match this login attempt.', 401, 'OIDC_TOKEN_INVALID');
+  }
+
+  return claims;
+};
+
+const findUserByIdentity = (provider, subject) => User.findOne({ identities: { $elemMatch: { provider, subject } } });
+
+// Helper to derive a free username from the provider's claims ("jane" -> "jane_48213" if taken)
+const pickAvailableUsername = async (claims) => {
+  const source = claims.preferred_username || claims.nickname || (claims.email || '').split('@')[0];
+  let base = String(source || '').replace(/[^A-Za-z0-9_.-]/g, '').slice(0, USERNAME_MAX_BASE);
+  if (base.length < 3) {
+    base = `user${base}`;
+  }
+
+  if (!(await User.exists({ username: base }))) {
+    return base;
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate = `${base}_${crypto.randomInt(10000, 100000)}`;
+    if (!(await User.exists({ username: candidate }))) {
+      return candidate;
+    }
+  }
+
+  throw new AppError('Could not find a free username. Please register with a password instead.', 409, 'USERNAME_UNAVAILABLE');
+};
+
+// Helper to create an account on first login with a provider
+const signUpWithIdentity = async (identity, claims) => {
+  if (!claims.email) {
+    throw new AppError('The identity provider did not share an email address.', 400, 'OIDC_EMAIL_REQUIRED');
+  }
+
+  const email = claims.email.toLowerCase();
+  // Never attach an external identity to an existing account automatically:
+  // that would let anyone who controls the email at the provider take the account over.
+  if (await User.exists({ email })) {
+    throw new AppError(
+      'An account with this email already exists. Log in with your password and link the provider from your account settings.',
+      409,
+      'OIDC_ACCOUNT_EXISTS'
+    );
+  }
+
+  const emailVerified = claims.email_verified === true;
+  const user = await User.create({
+    username: await pickAvailableUsername(claims),
+    email,
+    // Random, never disclosed: the user can set a real password via "forgot password"
+    password: generateToken(32),
+    emailVerified,
+    emailVerifiedAt: emailVerified ? new Date() : null,
+    identities: [identity],
+  });
+
+  logger.info({ event: 'oidc_user_signed_up', userId: user._id, provider: identity.provider });
+
+  return user;
+};
+
+// Helper to attach an identity to the logged-in user's account
+const linkIdentity = async (userId, identity) => {
+  const owner = await findUserByIdentity(identity.provider, identity.subject);
+  if (owner && String(owner._id) === String(userId)) {
+    return owner; // Already linked: nothing to do
+  }
+  if (owner) {
+    throw new AppError('This external account is already linked to another user.', 409, 'OIDC_IDENTITY_IN_USE');
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, 'identities.provider': { $ne: identity.provider } },
+    { $push: { identities: identity } },
+    { new: true }
+  );
+  if (!user) {
+    throw new AppError('Your account is already linked to this provider. Unlink it first.', 409, 'OIDC_ALREADY_LINKED');
+  }
+
+  logger.info({ event: 'oidc_identity_linked', userId, provider: identity.provider });
+
+  return user;
+};
+
+/**
+ * Completes the round trip to the provider.
+ * @param {object} query - { code, state, error } from the callback URL.
+ * @param {string} stateToken - The signed state set by createAuthorizationRequest().
+ * @param {object} context - Client metadata for the new session ({ userAgent, ip }).
+ * @returns {object} { mode: 'link', user } or { mode: 'login', ...completeLogin() result }.
+ */
+const handleCallback = async ({ code, state, error }, stateToken, context = {}) => {
+  assertEnabled();
+
+  if (error) {
+    throw new AppError(`The identity provider did not complete the login (${error}).`, 401, 'OIDC_LOGIN_REFUSED');
+  }
+
+  let pending;
+  try {
+    pending = jwt.verify(stateToken, config.jwt.secretVerify);
+  } catch (err) {
+    pending = null;
+  }
+  // The state must match the one we sent from THIS browser (CSRF protection for the callback)
+  if (!pending || pending.purpose !== 'oidc_state' || !state || pending.state !== state || !code) {
+    throw new AppError('This login attempt is invalid or has expired. Please try again.', 400, 'OIDC_STATE_INVALID');
+  }
+
+  const metadata = await getProviderMetadata();
+  const idToken = await exchangeCode(metadata, { code, codeVerifier: pending.codeVerifier });
+  const claims = await verifyIdToken(metadata, idToken, pending.nonce);
+
+  const identity = {
+    provider: config.oidc.providerName,
+    subject: String(claims.sub),
+    email: claims.email ? claims.email.toLowerCase() : null,
+  };
+
+  if (pending.mode === 'link') {
+    return { mode: 'link', user: await linkIdentity(pending.userId, identity) };
+  }
+
+  const user = await findUserByIdentity(identity.provider, identity.subject)
+    || await signUpWithIdentity(identity, claims);
+
+  logger.info({ event: 'oidc_login', userId: user._id, provider: identity.provider });
+
+  return { mode: 'login', ...(await AuthService.completeLogin(user, context)) };
+};
+
+// List the external identities linked to an account
+const listIdentities = async (userId) => {
+  const user = await User.findById(userId).select('identities').lean();
+  return user ? user.identities : [];
+};
+
+// Unlink the provider from an account. Password login (or a password reset) still works afterwards.
+const unlinkIdentity = async (userId, provider = config.oidc.providerName) => {
+  const result = await User.updateOne(
+    { _id: userId, 'identities.provider': provider },
+    { $pull: { identities: { provider } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new AppError('No external account from this provider is linked.', 404, 'OIDC_NOT_LINKED');
+  }
+
+  logger.info({ event: 'oidc_identity_unlinked', userId, provider });
+};
+
+module.exports = {
+  createAuthorizationRequest,
+  handleCallback,
+  listIdentities,
+  unlinkIdentity,
+};
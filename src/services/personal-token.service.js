@@ -0,0 +1,123 @@
+// personal-token.service.js
+// Personal access tokens: created and revoked by the user, presented by integrations as
+// `Authorization: Bearer pat_...`. Each request is limited to the token's scopes.
+
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { getAuthState, getAccountRestriction, getPendingDeletionRestriction } = require('./auth-state.service');
+
+// Distinguishes these tokens from JWTs (and makes leaked ones easy to spot by secret scanners)
+const TOKEN_PREFIX = 'pat_';
+const MAX_ACTIVE_TOKENS = 50;
+// lastUsedAt is only rewritten when older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Helper to shape a token for API responses (never includes the hash)
+const toPublicToken = (token) => ({
+  id: token._id,
+  name: token.name,
+  prefix: token.prefix,
+  scopes: token.scopes,
+  expiresAt: token.expiresAt,
+  lastUsedAt: token.lastUsedAt,
+  createdAt: token.createdAt,
+});
+
+/**
+ * Whether a bearer credential is a personal access token (as opposed to a JWT).
+ * @param {string} token - The raw bearer token.
+ * @returns {boolean}
+ */
+const isPersonalAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+// 1. Create a token. The raw value is returned ONCE and cannot be recovered later.
+const createToken = async (userId, { name, scopes, expiresInDays }) => {
+  const activeCount = await PersonalAccessToken.countDocuments({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (activeCount >= MAX_ACTIVE_TOKENS) {
+    throw new AppError(`You can have at most ${MAX_ACTIVE_TOKENS} active tokens.`, 400, 'TOKEN_LIMIT_REACHED');
+  }
+
+  const rawToken = `${TOKEN_PREFIX}${generateToken()}`;
+  const token = await PersonalAccessToken.create({
+    user: userId,
+    name,
+    tokenHash: hashToken(rawToken),
+    prefix: rawToken.slice(0, TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  logger.info({ event: 'personal_token_created', userId, tokenId: token._id, scopes: token.scopes });
+
+  return { token: rawToken, ...toPublicToken(token) };
+};
+
+// 2. List the user's usable tokens
+const listTokens = async (userId) => {
+  const tokens = await PersonalAccessToken.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 }).lean();
+
+  return tokens.map(toPublicToken);
+};
+
+// 3. Revoke one of the user's tokens
+const revokeToken = async (userId, tokenId) => {
+  const token = await PersonalAccessToken.findOneAndUpdate(
+    { _id: tokenId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  if (!token) {
+    throw new AppError('Token not found.', 404, 'TOKEN_NOT_FOUND');
+  }
+
+  logger.info({ event: 'personal_token_revoked', userId, tokenId });
+};
+
+// 4. Resolve a raw token to its owner (used by the auth middleware)
+// Throws an AppError when the token can't be used; returns { user, token } otherwise.
+const verifyToken = async (rawToken) => {
+  const token = await PersonalAccessToken.findOne({ tokenHash: hashToken(rawToken), revokedAt: null }).lean();
+
+  if (!token || token.expiresAt.getTime() <= Date.now()) {
+    throw new AppError('Invalid or expired personal access token.', 401, 'AUTH_FAILED');
+  }
+
+  // The same account-level checks as access tokens (suspension, pending deletion)
+  const authState = await getAuthState(token.user);
+  if (!authState) {
+    throw new AppError('The user for this token no longer exists.', 401, 'AUTH_FAILED');
+  }
+  const restriction = getAccountRestriction(authState.accountStatus)
+    || getPendingDeletionRestriction(authState.deletionScheduledFor);
+  if (restriction) {
+    throw restriction;
+  }
+
+  const user = await User.findById(token.user).select('username').lean();
+
+  const now = Date.now();
+  if (!token.lastUsedAt || now - token.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await PersonalAccessToken.updateOne({ _id: token._id }, { $set: { lastUsedAt: new Date(now) } });
+  }
+
+  return { user, token };
+};
+
+module.exports = {
+  isPersonalAccessToken,
+  createToken,
+  listTokens,
+  revokeToken,
+  verifyToken,
+};
@@ -0,0 +1,205 @@
+// post-attachment.service.js
+// Images attached to posts. Uploads are staged by upload.middleware.js, checked and moved to
+// storage here; their metadata lives on the Post (`attachments`, in display order).
+// The files are private: readers get signed, expiring links along with a post they may read, so
+// images of private, followers-only or trashed posts can't be fetched by anyone else.
+
+const fs = require('fs/promises');
+const Post = require('../models/Post');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const storageUtils = require('../utils/storage');
+const config = require('../config/config');
+
+const POST_IMAGE_DIR = 'posts';
+const HEADER_BYTES = 12;
+
+// Helper to identify an image format from its leading bytes (the declared MIME type is client input)
+const detectImageType = (header) => {
+  if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (['GIF87a', 'GIF89a'].includes(header.toString('latin1', 0, 6))) {
+    return 'image/gif';
+  }
+  if (header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// Helper to read the first bytes of a staged upload
+const readHeader = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Deletes the stored files of attachments. Failures are logged rather than thrown: the
+ * attachments are already gone from the post, so a leftover file is only wasted space.
+ * @param {object[]} attachments - Attachment subdocuments ({ url, ... }).
+ */
+const deleteAttachmentFiles = async (attachments) => {
+  await Promise.all(attachments.map(async (attachment) => {
+    try {
+      await storageUtils.deleteFileFromCloud(attachment.url);
+    } catch (error) {
+      logger.error({ event: 'post_attachment_cleanup_failure', url: attachment.url, error: error.message });
+    }
+  }));
+};
+
+/**
+ * Checks staged uploads and moves them to storage. Nothing is moved unless every file is
+ * a real image of its declared type.
+ * @param {object[]} files - req.files from uploadPostImages.
+ * @param {string[]} [alts] - Alt text per file, by position.
+ * @returns {object[]} Attachment subdocuments for Post.attachments, in upload order.
+ */
+const storeImages = async (files = [], alts = []) => {
+  for (const file of files) {
+    if (detectImageType(await readHeader(file.path)) !== file.mimetype) {
+      throw new AppError(`${file.originalname} is not a valid ${file.mimetype} image.`, 400, 'INVALID_FILE_TYPE');
+    }
+  }
+
+  const attachments = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      const url = await storageUtils.uploadPrivateFile(file.path, file.filename, POST_IMAGE_DIR);
+      attachments.push({ url, alt: alts[index] || '', mimeType: file.mimetype, size: file.size });
+    }
+  } catch (error) {
+    // Files not moved yet are removed from staging by discardUploadsOnError
+    await deleteAttachmentFiles(attachments);
+    throw error;
+  }
+
+  return attachments;
+};
+
+/**
+ * Gives a post's attachments signed links in place of their storage keys. Only for posts
+ * returned to someone allowed to read them (the links work for anyone holding them).
+ * @param {object} post - A plain post object.
+ * @returns {object} A copy of the post; each attachment's `url` is a link valid until `urlExpiresAt`.
+ */
+const withAttachmentLinks = (post) => {
+  if (!post.attachments || post.attachments.length === 0) {
+    return post;
+  }
+
+  return {
+    ...post,
+    attachments: post.attachments.map((attachment) => {
+      const { url, expiresAt } = storageUtils.getSignedDownloadUrl(attachment.url);
+      return { ...attachment, url, urlExpiresAt: expiresAt };
+    }),
+  };
+};
+
+// Helper for the 404 of a post that disappeared while its attachments were being changed
+const postNotFound = postId => new AppError(`Post with ID ${postId} not found.`, 404, 'POST_NOT_FOUND');
+
+// Appends uploaded images to a post, within the per-post limit
+const addAttachments = async (postId, files = [], alts = []) => {
+  if (files.length === 0) {
+    throw new AppError('No images provided.', 400, 'NO_FILE_PROVIDED');
+  }
+
+  const maxImages = config.content.maxPostImages;
+  const attachments = await storeImages(files, alts);
+
+  let post;
+  try {
+    // Only matches while there is room for every new image, so concurrent uploads can't exceed the limit
+    post = await Post.findOneAndUpdate(
+      { _id: postId, [`attachments.${maxImages - files.length}`]: { $exists: false } },
+      { $push: { attachments: { $each: attachments } } },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    await deleteAttachmentFiles(attachments);
+    throw error;
+  }
+
+  if (!post) {
+    await deleteAttachmentFiles(attachments);
+    if (!(await Post.exists({ _id: postId }))) {
+      throw postNotFound(postId);
+    }
+    throw new AppError(`A post can have at most ${maxImages} images.`, 400, 'TOO_MANY_ATTACHMENTS');
+  }
+
+  return withAttachmentLinks(post.toObject());
+};
+
+/**
+ * Rewrites a post's attachment list: `items` gives the attachments to keep, in their new
+ * order, optionally with new alt text. Attachments left out are removed from storage.
+ * @param {string} postId
+ * @param {object[]} items - [{ id, alt }]
+ * @returns {object} The updated post.
+ */
+const updateAttachments = async (postId, items) => {
+  const current = await Post.findById(postId).select('attachments').lean();
+  if (!current) {
+    throw postNotFound(postId);
+  }
+
+  const currentAttachments = current.attachments || []; // Posts from before attachments existed have none
+  const byId = new Map(currentAttachments.map(attachment => [String(attachment._id), attachment]));
+  const unknown = items.find(item => !byId.has(item.id));
+  if (unknown) {
+    throw new AppError(`Attachment with ID ${unknown.id} not found.`, 404, 'ATTACHMENT_NOT_FOUND');
+  }
+
+  const attachments = items.map(({ id, alt }) => ({ ...byId.get(id), ...(alt !== undefined && { alt }) }));
+  const kept = new Set(items.map(item => item.id));
+  const removed = currentAttachments.filter(attachment => !kept.has(String(attachment._id)));
+
+  // Only applies if no attachment was added or removed since they were read
+  const post = await Post.findOneAndUpdate(
+    { _id: postId, $expr: { $eq: [{ $ifNull: ['$attachments._id', []] }, currentAttachments.map(attachment => attachment._id)] } },
+    { $set: { attachments } },
+    { new: true, runValidators: true }
+  );
+  if (!post) {
+    throw new AppError('The attachments changed while you were editing them. Please try again.', 409, 'ATTACHMENTS_CHANGED');
+  }
+
+  await deleteAttachmentFiles(removed);
+  return withAttachmentLinks(post.toObject());
+};
+
+// Removes a single attachment (and its file)
+const removeAttachment = async (postId, attachmentId) => {
+  // The pre-update document tells which file to delete
+  const before = await Post.findOneAndUpdate(
+    { _id: postId, 'attachments._id': attachmentId },
+    { $pull: { attachments: { _id: attachmentId } } }
+  ).select('attachments').lean();
+
+  if (!before) {
+    throw new AppError(`Attachment with ID ${attachmentId} not found.`, 404, 'ATTACHMENT_NOT_FOUND');
+  }
+
+  await deleteAttachmentFiles(before.attachments.filter(attachment => String(attachment._id) === String(attachmentId)));
+};
+
+module.exports = {
+  storeImages,
+  deleteAttachmentFiles,
+  withAttachmentLinks,
+  addAttachments,
+  updateAttachments,
+  removeAttachment,
+};
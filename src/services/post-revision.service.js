@@ -0,0 +1,118 @@
+// post-revision.service.js
+// Read access to a post's revision history (saved by post.service.js), diffs and restores.
+
+const PostRevision = require('../models/PostRevision');
+const PostService = require('./post.service');
+const AppError = require('../utils/AppError');
+const { diffWords } = require('../utils/diff');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+
+/**
+ * The first revision `viewer` may see. Drafts stay private: other readers see the history from
+ * the published revision on; the author and staff who may edit any post see all of it.
+ * @param {object} post - The post, as returned by PostService.getPostById.
+ * @param {object|null} viewer - req.user, if any.
+ * @returns {number}
+ */
+const firstVisibleRevision = async (post, viewer) => {
+  const isAuthor = viewer && String(post.author.id) === String(viewer.id);
+  if (isAuthor || (viewer && hasPermission(viewer.roles, PERMISSIONS.POSTS_UPDATE_ANY))) {
+    return 1;
+  }
+  if (post.publishedRevision) {
+    return post.publishedRevision;
+  }
+  if (!post.publishAt) {
+    return 1; // Published before drafts existed: every revision was public
+  }
+
+  // Published before the revision was recorded: the last one saved by the time it went live
+  const published = await PostRevision.findOne({ postId: post._id, createdAt: { $lte: post.publishAt } })
+    .sort({ revision: -1 })
+    .select('revision')
+    .lean();
+  return published ? published.revision : 1;
+};
+
+// Helper to load one revision of a post, if it is one the caller may see (`from` onwards)
+const getRevision = async (postId, revision, from = 1) => {
+  const found = revision >= from ? await PostRevision.findOne({ postId, revision }).lean() : null;
+  if (!found) {
+    throw new AppError(`Revision ${revision} of post ${postId} not found.`, 404, 'REVISION_NOT_FOUND');
+  }
+  return found;
+};
+
+/**
+ * Lists a post's revisions, newest first. Anyone who can read the post can read its history
+ * since publication (see firstVisibleRevision).
+ * @param {string} postId - The post.
+ * @param {object} viewer - req.user, if any (authors can see the history of their drafts).
+ * @param {object} query - { before, limit }: `before` is the revision number to page back from.
+ * @returns {object} { revisions, limit, nextBefore, hasNextPage }
+ */
+const listRevisions = async (postId, viewer, query = {}) => {
+  const post = await PostService.getPostById(postId, viewer);
+
+  const limit = parseInt(query.limit, 10) || 20;
+  const filter = { postId, revision: { $gte: await firstVisibleRevision(post, viewer) } };
+  if (query.before) {
+    filter.revision.$lt = parseInt(query.before, 10);
+  }
+
+  // Fetch one extra revision to know whether another page exists
+  const revisions = await PostRevision.find(filter)
+    .sort({ revision: -1 })
+    .limit(limit + 1)
+    .lean()
+    .exec();
+
+  const hasNextPage = revisions.length > limit;
+  if (hasNextPage) {
+    revisions.pop();
+  }
+
+  return {
+    revisions,
+    limit,
+    nextBefore: hasNextPage ? revisions[revisions.length - 1].revision : null,
+    hasNextPage,
+  };
+};
+
+// Helper to keep the metadata of a revision (without the texts) for the diff response
+const describeRevision = ({ revision, editor, restoredFrom, createdAt }) => ({ revision, editor, restoredFrom, createdAt });
+
+/**
+ * Word-level diff of the title and content between two revisions.
+ * @returns {object} { from, to, title: segments, content: segments } (see utils/diff.js)
+ */
+const diffRevisions = async (postId, viewer, { from, to }) => {
+  const post = await PostService.getPostById(postId, viewer);
+  const firstVisible = await firstVisibleRevision(post, viewer);
+
+  const [older, newer] = await Promise.all([getRevision(postId, from, firstVisible), getRevision(postId, to, firstVisible)]);
+
+  return {
+    from: describeRevision(older),
+    to: describeRevision(newer),
+    title: diffWords(older.title, newer.title),
+    content: diffWords(older.content, newer.content),
+  };
+};
+
+/**
+ * Makes an earlier revision current again. The restore is itself saved as a new revision,
+ * so nothing is lost. Authorization (author or posts:update:any) is checked by the route.
+ */
+const restoreRevision = async (postId, revision, editor) => {
+  const { title, content } = await getRevision(postId, revision);
+
+  return PostService.updatePost(postId, { title, content }, editor, { restoredFrom: revision });
+};
+
+module.exports = {
+  listRevisions,
+  diffRevisions,
+  restoreRevision,
+};
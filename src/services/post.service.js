@@ -2,52 +2,132 @@
 // Business logic for Post management (Create, Read, Update, Delete), now with bulk updates and pagination.
 
 const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
 const AppError = require('../utils/AppError');
 const logger = require('../utils/logger');
 const counterService = require('./counter.service'); 
+const followService = require('./follow.service');
+const { withAttachmentLinks } = require('./post-attachment.service');
+const { encodeCursor, afterCursorFilter } = require('../utils/cursor');
+const { extractHashtags } = require('../utils/hashtags');
+const { renderPostHtml, renderCommentHtml } = require('../utils/markdown');
 
-// 1. Create a new post
-const createPost = async ({ title, content, authorId, authorUsername }) => {
+// Only published posts are visible to readers other than the author.
+// Posts created before drafts existed have no `status` and count as published.
+const PUBLISHED_FILTER = { status: { $in: ['published', null] } };
+
+const isPublished = post => !post.status || post.status === 'published';
+
+// Posts created before visibility existed have none and are public
+const PUBLIC_FILTER = { visibility: { $in: ['public', null] } };
+
+/**
+ * Builds the filter for posts `viewer` may read: public posts, their own posts, and the
+ * followers-only posts of users they follow. Comments carry a copy of their post's visibility
+ * and author, so the same filter applies to them with their field names.
+ * @param {object|null} viewer - req.user, if any.
+ * @param {object} [fields] - { visibility, authorId } paths (defaults are Post's).
+ * @returns {object} A MongoDB filter.
+ */
+const visibleToFilter = async (viewer, { visibility = 'visibility', authorId = 'author.id' } = {}) => {
+  const publicFilter = { [visibility]: PUBLIC_FILTER.visibility };
+  if (!viewer) {
+    return publicFilter;
+  }
+
+  const followedIds = await followService.getFollowedIds(viewer.id);
+  return {
+    $or: [
+      publicFilter,
+      { [authorId]: viewer.id },
+      { [visibility]: 'followers', [authorId]: { $in: followedIds } },
+    ],
+  };
+};
+
+/**
+ * Whether `viewer` may read a post with this visibility and author (see visibleToFilter).
+ * @param {string|undefined} visibility - The post's visibility (unset = public).
+ * @param {ObjectId|string} authorId - The post's author.
+ * @param {object|null} viewer - req.user, if any.
+ * @returns {Promise<boolean>}
+ */
+const canViewPost = async (visibility, authorId, viewer) => {
+  if (!visibility || visibility === 'public') {
+    return true;
+  }
+  if (!viewer) {
+    return false;
+  }
+  if (String(authorId) === String(viewer.id)) {
+    return true;
+  }
+  return visibility === 'followers' && followService.isFollowing(viewer.id, authorId);
+};
+
+// 1. Create a new post (published immediately unless saved as a draft or scheduled)
+// `attachments` are images already moved to storage (see post-attachment.service.js)
+const createPost = async ({ title, content, authorId, authorUsername, status = 'published', publishAt = null, visibility = 'public', attachments = [] }) => {
   // Validation is assumed to be handled by Mongoose schema checks or dedicated middleware (Phase 2)
   const post = await Post.create({
     title,
     content,
+    contentHtml: renderPostHtml(content),
+    tags: extractHashtags(content),
+    status,
+    publishAt: status === 'published' ? new Date() : publishAt,
+    visibility,
+    attachments,
+    revisionCount: 1,
+    ...(status === 'published' && { publishedRevision: 1 }),
     author: {
       id: authorId,
       username: authorUsername,
     },
   });
+
+  // Revision 1: the post as first written
+  await PostRevision.create({ postId: post._id, revision: 1, title, content, editor: post.author });
   
   // Clean Mongoose object before returning
-  return post.toObject();
+  return withAttachmentLinks(post.toObject());
 };
 
-// 2. Get a single post by ID
-const getPostById = async (postId) => {
+// 2. Get a single post by ID, if `viewer` (req.user, if any) may read it. Drafts and scheduled
+// posts are only found for their author, other posts per their visibility; everyone else
+// gets the same 404 as for a missing post.
+const getPostById = async (postId, viewer = null) => {
   const post = await Post.findById(postId);
+
+  const isAuthor = post && viewer && String(post.author.id) === String(viewer.id);
+  if (!post || (!isAuthor && !(isPublished(post) && await canViewPost(post.visibility, post.author.id, viewer)))) {
+    throw new AppError(`Post with ID ${postId} not found.`, 404, 'POST_NOT_FOUND');
+  }
   
+  return withAttachmentLinks(post.toObject());
+};
+
+// Loads a post for staff acting on it, whatever its status or visibility (moderation covers
+// drafts and private posts too). Only missing and trashed posts are 404s.
+const getPostForModeration = async (postId) => {
+  const post = await Post.findById(postId);
+
   if (!post) {
     throw new AppError(`Post with ID ${postId} not found.`, 404, 'POST_NOT_FOUND');
   }
-  
+
   return post.toObject();
 };
 
-// 3. Get all posts (The Feed) - Initial, unpaginated version
-const getPosts = async (query = {}) => {
-  const page = parseInt(query.page, 10) || 1;
-  const limit = parseInt(query.limit, 10) || 20;
+// Helper for the legacy offset pagination (`?page=`), kept for existing clients.
+// Deep pages get slower (skip) and can repeat posts when new ones arrive: prefer cursors.
+const getPostsPage = async (filter, { page, limit }) => {
   const skip = (page - 1) * limit;
 
-  // Build the MongoDB filter object
-  const filter = {};
-  if (query.authorId) {
-    filter['author.id'] = query.authorId;
-  }
-  
   // Get posts for the current page
   const posts = await Post.find(filter)
-    .sort({ createdAt: -1 })
+    .sort({ createdAt: -1, _id: -1 })
     .skip(skip)
     .limit(limit)
     .lean()
@@ -58,7 +138,7 @@ const getPosts = async (query = {}) => {
   const totalPages = Math.ceil(totalResults / limit);
 
   return {
-    posts,
+    posts: posts.map(withAttachmentLinks),
     page,
     limit,
     totalResults,
@@ -68,50 +148,262 @@ const getPosts = async (query = {}) => {
   };
 };
 
+// Helper for keyset pagination on (createdAt, _id), newest first.
+// Pass the returned `nextCursor` as `cursor` for the next page.
+const findPostsPage = async (filter, { cursor, limit }) => {
+  const pageFilter = cursor ? { $and: [filter, afterCursorFilter(cursor)] } : filter;
+
+  // Fetch one extra post to know whether another page exists
+  const posts = await Post.find(pageFilter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean()
+    .exec();
+
+  const hasNextPage = posts.length > limit;
+  if (hasNextPage) {
+    posts.pop();
+  }
+
+  return {
+    posts: posts.map(withAttachmentLinks),
+    limit,
+    nextCursor: hasNextPage ? encodeCursor(posts[posts.length - 1]) : null,
+    hasNextPage,
+  };
+};
+
+// Cursor totals stop counting here: beyond it, `totalResults` is this cap and `totalIsEstimate` is set
+const MAX_COUNTED_TOTAL = 1000;
+
+// 3. Get all published posts `viewer` may read (The Feed), newest first
+// Totals are opt-in (`includeTotal`) and estimated: they count what the viewer can read, up to MAX_COUNTED_TOTAL.
+const getPosts = async (query = {}, viewer = null) => {
+  const limit = parseInt(query.limit, 10) || 20;
+
+  // Build the MongoDB filter object
+  const filter = { ...PUBLISHED_FILTER, ...(await visibleToFilter(viewer)) };
+  if (query.authorId) {
+    filter['author.id'] = query.authorId;
+  }
+  if (query.tag) {
+    filter.tags = query.tag; // Already normalized by the caller
+  }
+
+  if (query.page) {
+    return getPostsPage(filter, { page: parseInt(query.page, 10), limit });
+  }
+
+  const result = await findPostsPage(filter, { cursor: query.cursor, limit });
+
+  if (query.includeTotal) {
+    result.totalResults = await Post.countDocuments(filter, { limit: MAX_COUNTED_TOTAL });
+    result.totalIsEstimate = result.totalResults === MAX_COUNTED_TOTAL;
+  }
+
+  return result;
+};
+
+// The author's unpublished posts (drafts and scheduled), newest first, cursor-paginated like the feed
+const getDrafts = async (authorId, query = {}) => {
+  const limit = parseInt(query.limit, 10) || 20;
+  const filter = {
+    'author.id': authorId,
+    status: query.status || { $in: ['draft', 'scheduled'] },
+  };
+
+  return findPostsPage(filter, { cursor: query.cursor, limit });
+};
+
+// Helper to save the pre-edit state of posts written before revisions existed, as revision 1.
+// Both writes are idempotent, so concurrent first edits are harmless.
+const ensureBaselineRevision = async (post) => {
+  if (post.revisionCount) {
+    return;
+  }
+
+  await PostRevision.updateOne(
+    { postId: post._id, revision: 1 },
+    { $setOnInsert: { title: post.title, content: post.content, editor: post.author, createdAt: post.createdAt } },
+    { upsert: true, timestamps: false }
+  );
+  await Post.updateOne({ _id: post._id, revisionCount: { $exists: false } }, { $set: { revisionCount: 1 } }, { timestamps: false });
+};
+
+// Helper to work out the fields implied by a status change (see updatePost)
+const resolveStatusChange = (currentStatus, { status = currentStatus, publishAt }) => {
+  if (currentStatus === 'published' && status !== 'published') {
+    throw new AppError('Published posts cannot be turned back into drafts.', 400, 'POST_ALREADY_PUBLISHED');
+  }
+  if (publishAt !== undefined && status !== 'scheduled') {
+    throw new AppError('A publication time can only be set on scheduled posts.', 400, 'POST_NOT_SCHEDULED');
+  }
+
+  if (status === 'draft') {
+    return { status, publishAt: null };
+  }
+  if (status === 'scheduled') {
+    return { status, publishAt };
+  }
+
+  // Publishing now: the post enters the feed at the top, like a new post
+  if (currentStatus !== 'published') {
+    const now = new Date();
+    return { status, publishAt: now, createdAt: now };
+  }
+  return {};
+};
+
 // 4. Update a post
-const updatePost = async (postId, updateBody) => {
+const updatePost = async (postId, updateBody, editor, { restoredFrom = null } = {}) => {
   // Check that only updatable fields are present (e.g., block changing commentCount)
-  const allowedUpdates = ['title', 'content'];
+  const allowedUpdates = ['title', 'content', 'status', 'publishAt', 'visibility'];
   const updates = Object.keys(updateBody).filter(key => allowedUpdates.includes(key));
 
   if (updates.length === 0) {
     throw new AppError('No valid fields provided for update.', 400, 'INVALID_UPDATE');
   }
 
-  // FindByIdAndUpdate runs validators by default and returns the NEW document
-  const post = await Post.findByIdAndUpdate(
-    postId, 
-    { $set: updateBody }, // Use $set to only update provided fields
-    { new: true, runValidators: true }
-  );
+  const current = await Post.findById(postId).select('status visibility title content revisionCount author createdAt').lean();
+  if (!current) {
+    throw new AppError(`Post with ID ${postId} not found.`, 404, 'POST_NOT_FOUND');
+  }
+
+  const changes = {};
+  updates.forEach(key => { changes[key] = updateBody[key]; });
+  if (changes.content !== undefined) {
+    // The HTML and the tags are derived from the content, so they are replaced along with it
+    changes.contentHtml = renderPostHtml(changes.content);
+    changes.tags = extractHashtags(changes.content);
+  }
 
+  const filter = { _id: postId };
+  const update = { $set: changes }; // Use $set to only update provided fields
+  const options = { new: true, runValidators: true };
+
+  if (changes.status !== undefined || changes.publishAt !== undefined) {
+    Object.assign(changes, resolveStatusChange(current.status || 'published', changes));
+    // Only apply the change if the scheduler hasn't published the post in the meantime
+    filter.status = current.status || null;
+    options.overwriteImmutable = true; // Publishing moves createdAt
+  }
+
+  // A changed title or content is a new revision; readers see the marker once the post is public
+  const isEdit = ['title', 'content'].some(key => changes[key] !== undefined && changes[key] !== current[key]);
+  if (isEdit) {
+    await ensureBaselineRevision(current);
+    update.$inc = { revisionCount: 1 };
+    if (isPublished(current)) {
+      changes.edited = true;
+      changes.editedAt = new Date();
+    }
+  }
+  if (changes.status === 'published' && !isPublished(current)) {
+    // Published as saved by this update (a new revision if the text changed too)
+    changes.publishedRevision = (current.revisionCount || 1) + (isEdit ? 1 : 0);
+  }
+
+  // FindOneAndUpdate runs validators by default and returns the NEW document
+  const post = await Post.findOneAndUpdate(filter, update, options);
+
+  if (!post && filter.status !== undefined) {
+    throw new AppError('The post was published in the meantime. Reload it and try again.', 409, 'POST_STATUS_CHANGED');
+  }
   if (!post) {
     throw new AppError(`Post with ID ${postId} not found.`, 404, 'POST_NOT_FOUND');
   }
 
-  return post.toObject();
+  if (changes.visibility !== undefined && changes.visibility !== (current.visibility || 'public')) {
+    // Comments follow their post (trashed ones too, so they come back with the right visibility)
+    await Comment.updateMany(
+      { postId: post._id },
+      { $set: { postVisibility: post.visibility, postAuthorId: post.author.id } },
+      { withDeleted: true, timestamps: false }
+    );
+  }
+
+  if (isEdit) {
+    // NOTE: Not transactional: if this insert fails, the edit stands without its history entry.
+    await PostRevision.create({
+      postId: post._id,
+      revision: post.revisionCount,
+      title: post.title,
+      content: post.content,
+      editor: { id: editor.id, username: editor.username },
+      restoredFrom,
+    });
+  }
+
+  return withAttachmentLinks(post.toObject());
 };
 
-// 5. Delete a post
-const deletePost = async (postId) => {
-  const post = await Post.findByIdAndDelete(postId);
+// 5. Delete a post: moves it (and its comments) to the trash, restorable until the trash purge job runs
+const deletePost = async (postId, actorId) => {
+  const deletedAt = new Date();
+  const post = await Post.findOneAndUpdate(
+    { _id: postId },
+    { $set: { deletedAt, deletedBy: actorId } },
+    { new: true, timestamps: false }
+  );
   
   if (!post) {
     throw new AppError(`Post with ID ${postId} not found.`, 404, 'POST_NOT_FOUND');
   }
+
+  // The comments are hidden along with the post; commentCount stays as it is for the restore
+  await Comment.updateMany(
+    { postId },
+    { $set: { deletedAt, deletedBy: actorId, deletedWithPost: true } },
+    { timestamps: false }
+  );
   
   // Return the deleted post for audit logging/confirmation
   return post.toObject();
 };
 
+// Loads a post from the trash (for the restore authorization check)
+const getTrashedPost = async (postId) => {
+  const post = await Post.findOne({ _id: postId, deletedAt: { $ne: null } }).lean();
+
+  if (!post) {
+    throw new AppError(`Post with ID ${postId} is not in the trash.`, 404, 'TRASH_ITEM_NOT_FOUND');
+  }
+
+  return post;
+};
+
+// Takes a post out of the trash, with the comments that were trashed together with it
+const restorePost = async (postId) => {
+  const post = await Post.findOneAndUpdate(
+    { _id: postId, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: true, timestamps: false }
+  );
+
+  if (!post) {
+    throw new AppError(`Post with ID ${postId} is not in the trash.`, 404, 'TRASH_ITEM_NOT_FOUND');
+  }
+
+  await Comment.updateMany(
+    { postId, deletedWithPost: true, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null, deletedWithPost: false } },
+    { timestamps: false }
+  );
+
+  return withAttachmentLinks(post.toObject());
+};
+
 // NEW: 2. Bulk update denormalized author data
 // This is called by auth.service.js after a user changes their username.
 const bulkUpdateAuthorUsername = async (authorId, newUsername) => {
   // Use Mongoose's updateMany for efficiency
   const result = await Post.updateMany(
-    { 'author.id': authorId }, // Filter for all posts by this author
-    { $set: { 'author.username': newUsername } } // Update the denormalized field
+    { 'author.id': authorId }, // Filter for all posts by this author (trashed ones too)
+    { $set: { 'author.username': newUsername } }, // Update the denormalized field
+    { withDeleted: true }
   );
+  // Revision history carries the same denormalized name for its editors
+  await PostRevision.updateMany({ 'editor.id': authorId }, { $set: { 'editor.username': newUsername } });
   
   // Log the operation for audit/debugging
   logger.info({
@@ -125,6 +417,54 @@ const bulkUpdateAuthorUsername = async (authorId, newUsername) => {
   return result;
 };
 
+// Number of published, public posts using a tag. Tags live on the posts themselves, so the count
+// follows edits and deletions without a separate counter to keep in sync.
+const countPostsWithTag = async (tag) => Post.countDocuments({ ...PUBLISHED_FILTER, ...PUBLIC_FILTER, tags: tag });
+
+// Publishes scheduled posts whose time has come (run by the post-publish job).
+// Like a post published by hand, each one enters the feed at the time it is actually published.
+const publishDuePosts = async () => {
+  const now = new Date();
+  // A pipeline update, so each post records its own latest revision as the published one
+  const result = await Post.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    [{ $set: { status: 'published', publishAt: now, createdAt: now, publishedRevision: { $ifNull: ['$revisionCount', 1] } } }],
+    { overwriteImmutable: true }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info({ event: 'scheduled_posts_published', count: result.modifiedCount });
+  }
+
+  return { published: result.modifiedCount };
+};
+
+const CONTENT_HTML_BATCH_SIZE = 500; // Per run and per model; the job catches up on the next run
+
+// Helper to render the missing HTML of one batch of a model's documents
+const backfillModelHtml = async (model, render) => {
+  const docs = await model.find({ contentHtml: null }).select('content').limit(CONTENT_HTML_BATCH_SIZE).lean();
+  if (docs.length > 0) {
+    await model.bulkWrite(docs.map(doc => ({
+      updateOne: { filter: { _id: doc._id }, update: { $set: { contentHtml: render(doc.content) } }, timestamps: false },
+    })));
+  }
+  return docs.length;
+};
+
+// Renders the HTML of posts and comments written before content was treated as Markdown
+// (run by the content-html-backfill job; a no-op once everything has been rendered).
+const backfillContentHtml = async () => {
+  const posts = await backfillModelHtml(Post, renderPostHtml);
+  const comments = await backfillModelHtml(Comment, renderCommentHtml);
+
+  if (posts > 0 || comments > 0) {
+    logger.info({ event: 'content_html_backfilled', posts, comments });
+  }
+
+  return { posts, comments };
+};
+
 // CLEANED: Atomic Increment/Decrement for the commentCount
 const updateCommentCount = async (postId, incrementValue) => {
   // Use the generic counter service
@@ -139,12 +479,23 @@ const updateLikeCount = async (postId, incrementValue) => {
 
 
 module.exports = {
+  PUBLISHED_FILTER,
+  isPublished,
+  visibleToFilter,
+  canViewPost,
   createPost,
   getPostById,
+  getPostForModeration,
   getPosts,
+  getDrafts,
   updatePost,
   deletePost,
+  getTrashedPost,
+  restorePost,
   bulkUpdateAuthorUsername,
+  countPostsWithTag,
+  publishDuePosts,
+  backfillContentHtml,
   updateCommentCount,
   updateLikeCount, // Export new function
 };
@@ -0,0 +1,139 @@
+// search.service.js
+// Full-text search over posts and comments using MongoDB text indexes (see Post.js and Comment.js).
+// Results are ranked by text score; mixed post/comment results are merged by score.
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const AppError = require('../utils/AppError');
+const { PUBLISHED_FILTER, visibleToFilter } = require('./post.service');
+const { withAttachmentLinks } = require('./post-attachment.service');
+const { buildHighlighter, highlightText, buildSnippet } = require('../utils/highlight');
+
+// Relevance order has no stable keyset, so pages are offset-based; deep pages are refused
+// instead of sorting ever-larger result sets.
+const MAX_RESULT_DEPTH = 500;
+
+// Shapes a post hit: the denormalized author is returned as stored, the body is replaced by a snippet
+const toPostResult = (post, highlighter) => ({
+  type: 'post',
+  score: post.score,
+  _id: post._id,
+  title: post.title,
+  tags: post.tags,
+  attachments: withAttachmentLinks(post).attachments || [],
+  author: post.author,
+  commentCount: post.commentCount,
+  likeCount: post.likeCount,
+  edited: Boolean(post.edited),
+  createdAt: post.createdAt,
+  updatedAt: post.updatedAt,
+  highlights: {
+    title: highlightText(post.title, highlighter),
+    content: buildSnippet(post.content, highlighter),
+  },
+});
+
+const toCommentResult = (comment, highlighter) => ({
+  type: 'comment',
+  score: comment.score,
+  _id: comment._id,
+  postId: comment.postId,
+  author: comment.author,
+  likeCount: comment.likeCount,
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt,
+  highlights: {
+    content: buildSnippet(comment.content, highlighter),
+  },
+});
+
+// Helper to describe the searchable collections for `viewer`. `filter` narrows a collection beyond
+// the shared query: drafts and scheduled posts are never searchable (nor commentable, see
+// comment.service.js), and posts (and the comments on them) only show up for viewers allowed to read them.
+const buildSources = async viewer => ({
+  posts: { model: Post, filter: { ...PUBLISHED_FILTER, ...(await visibleToFilter(viewer)) }, toResult: toPostResult },
+  comments: {
+    model: Comment,
+    filter: await visibleToFilter(viewer, { visibility: 'postVisibility', authorId: 'postAuthorId' }),
+    toResult: toCommentResult,
+  },
+});
+
+// Helper to fetch one collection's hits, best first (ties broken by newest)
+const findHits = (model, filter, { skip, limit }) => model
+  .find(filter, { score: { $meta: 'textScore' } })
+  .sort({ score: { $meta: 'textScore' }, _id: -1 })
+  .skip(skip)
+  .limit(limit)
+  .lean()
+  .exec();
+
+/**
+ * Searches the posts and/or comments `viewer` may read.
+ * @param {object} query - { q, type: 'all'|'posts'|'comments', authorId, from, to, page, limit }
+ * @param {object|null} [viewer] - req.user, if any.
+ * @returns {object} { results, page, limit, totalResults, totalPages, hasNextPage, hasPrevPage }
+ */
+const search = async (query, viewer = null) => {
+  const page = parseInt(query.page, 10) || 1;
+  const limit = parseInt(query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  if (skip + limit > MAX_RESULT_DEPTH) {
+    throw new AppError(
+      `Only the first ${MAX_RESULT_DEPTH} results can be paged through. Refine the search instead.`,
+      400,
+      'SEARCH_TOO_DEEP'
+    );
+  }
+
+  // Build the MongoDB filter shared by both collections
+  const filter = { $text: { $search: query.q } };
+  if (query.authorId) {
+    filter['author.id'] = query.authorId;
+  }
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  const type = query.type || 'all';
+  const sources = await buildSources(viewer);
+  const selected = type === 'all' ? [sources.posts, sources.comments] : [sources[type]];
+
+  let hits;
+  if (selected.length === 1) {
+    const [{ model, filter: sourceFilter, toResult }] = selected;
+    hits = (await findHits(model, { ...filter, ...sourceFilter }, { skip, limit })).map(doc => ({ doc, toResult }));
+  } else {
+    // The top (skip + limit) of each collection is enough to know the top (skip + limit) overall
+    const perSource = await Promise.all(selected.map(async ({ model, filter: sourceFilter, toResult }) => (
+      (await findHits(model, { ...filter, ...sourceFilter }, { skip: 0, limit: skip + limit })).map(doc => ({ doc, toResult }))
+    )));
+    hits = perSource
+      .flat()
+      .sort((a, b) => b.doc.score - a.doc.score || (b.doc.createdAt - a.doc.createdAt))
+      .slice(skip, skip + limit);
+  }
+
+  const counts = await Promise.all(selected.map(({ model, filter: sourceFilter }) => model.countDocuments({ ...filter, ...sourceFilter })));
+  const totalResults = counts.reduce((sum, count) => sum + count, 0);
+  const totalPages = Math.ceil(totalResults / limit);
+
+  const highlighter = buildHighlighter(query.q);
+
+  return {
+    results: hits.map(({ doc, toResult }) => toResult(doc, highlighter)),
+    page,
+    limit,
+    totalResults,
+    totalPages,
+    hasNextPage: page < totalPages && skip + limit < MAX_RESULT_DEPTH,
+    hasPrevPage: page > 1,
+  };
+};
+
+module.exports = {
+  search,
+};
@@ -0,0 +1,222 @@
+// signing-key.service.js
+// Signs and verifies access tokens. With JWT_ALGORITHM=HS256 (the default) this uses the shared
+// secret as before; with RS256/ES256 it uses rotating key pairs, tagging each token with a `kid`
+// and publishing the public keys as a JWKS so other services can verify tokens on their own.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const SigningKey = require('../models/SigningKey');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { generateToken } = require('../utils/tokens');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// Keys are cached per instance and re-read periodically so rotations on another instance propagate
+const CACHE_TTL_MS = 60 * 1000;
+// An unknown `kid` triggers an early reload, but not more often than this
+const MIN_RELOAD_INTERVAL_MS = 5 * 1000;
+
+// Rotations that keep losing the race for the active slot give up after this many attempts
+const MAX_ROTATION_ATTEMPTS = 5;
+
+let keyCache = { keys: new Map(), activeKid: null, loadedAt: 0 };
+let loadingPromise = null;
+
+const isAsymmetric = () => config.jwt.algorithm !== 'HS256';
+
+const loadKeys = async () => {
+  const now = new Date();
+  const docs = await SigningKey.find({
+    $or: [{ status: 'active' }, { verifyUntil: { $gt: now } }],
+  }).select('+privateKey').lean();
+
+  const keys = new Map();
+  let activeKid = null;
+  for (const doc of docs) {
+    keys.set(doc.kid, doc);
+    if (doc.status === 'active') activeKid = doc.kid;
+  }
+
+  keyCache = { keys, activeKid, loadedAt: Date.now() };
+  return keyCache;
+};
+
+// Helper to reload the cache, sharing one DB read between concurrent callers
+const reloadKeys = () => {
+  if (!loadingPromise) {
+    loadingPromise = loadKeys().finally(() => { loadingPromise = null; });
+  }
+  return loadingPromise;
+};
+
+// Helper to compute how long a key retired at `date` keeps verifying tokens
+const retentionEnd = (date) => new Date(date.getTime() + config.jwt.keyRetentionHours * 60 * 60 * 1000);
+
+const getKeys = async () => (Date.now() - keyCache.loadedAt > CACHE_TTL_MS ? reloadKeys() : keyCache);
+
+// Helper to create a new key pair document for the configured algorithm
+const createKeyPair = async (algorithm) => {
+  const { publicKey, privateKey } = algorithm === 'ES256'
+    ? await generateKeyPair('ec', { namedCurve: 'P-256' })
+    : await generateKeyPair('rsa', { modulusLength: 2048 });
+
+  return {
+    kid: generateToken(8),
+    algorithm,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  };
+};
+
+// Helper to return the active key, creating the first one on a fresh deployment
+const getActiveKey = async () => {
+  let { keys, activeKid } = await getKeys();
+
+  if (!activeKid) {
+    try {
+      await SigningKey.create({ ...(await createKeyPair(config.jwt.algorithm)), status: 'active' });
+      logger.info({ event: 'signing_key_created', algorithm: config.jwt.algorithm });
+    } catch (error) {
+      // Another instance won the race (unique active index): use its key
+      if (error.code !== 11000) throw error;
+    }
+    ({ keys, activeKid } = await reloadKeys());
+  }
+
+  return keys.get(activeKid);
+};
+
+/**
+ * Signs an access token with the configured algorithm (and the active key's `kid`).
+ * @param {object} payload - The token claims.
+ * @returns {string} The signed JWT.
+ */
+const signAccessToken = async (payload) => {
+  if (!isAsymmetric()) {
+    return jwt.sign(payload, config.jwt.secretAccess, { expiresIn: config.jwt.accessExpiry });
+  }
+
+  const key = await getActiveKey();
+  return jwt.sign(payload, key.privateKey, {
+    algorithm: key.algorithm,
+    keyid: key.kid,
+    expiresIn: config.jwt.accessExpiry,
+  });
+};
+
+/**
+ * Verifies an access token. Throws the jsonwebtoken errors (TokenExpiredError, JsonWebTokenError).
+ * HS256 tokens are still accepted after switching to key pairs while JWT_SECRET_ACCESS is set,
+ * so the switch doesn't log anyone out; unset the secret once they have expired.
+ * @param {string} token - The raw JWT.
+ * @returns {object} The decoded payload.
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { alg, kid } = decoded.header;
+
+  // The algorithm list is always pinned, so a token can't pick how it is verified
+  if (alg === 'HS256') {
+    if (!config.jwt.secretAccess) {
+      throw new jwt.JsonWebTokenError('invalid algorithm');
+    }
+    return jwt.verify(token, config.jwt.secretAccess, { algorithms: ['HS256'] });
+  }
+
+  let { keys, loadedAt } = await getKeys();
+  if (!keys.has(kid) && Date.now() - loadedAt > MIN_RELOAD_INTERVAL_MS) {
+    ({ keys } = await reloadKeys());
+  }
+
+  const key = keys.get(kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+};
+
+/**
+ * The public keys that may verify tokens right now, as a JSON Web Key Set.
+ * @returns {{ keys: object[] }}
+ */
+const getJwks = async () => {
+  const now = new Date();
+  const docs = await SigningKey.find({
+    $or: [{ status: 'active' }, { verifyUntil: { $gt: now } }],
+  }).sort({ createdAt: -1 }).lean();
+
+  return {
+    keys: docs.map(doc => ({
+      ...crypto.createPublicKey(doc.publicKey).export({ format: 'jwk' }),
+      kid: doc.kid,
+      alg: doc.algorithm,
+      use: 'sig',
+    })),
+  };
+};
+
+/**
+ * Replaces the active signing key. The previous key keeps verifying (and stays in the JWKS)
+ * for config.jwt.keyRetentionHours, so tokens already issued remain valid until they expire.
+ * @param {string} actorId - The admin performing the rotation (for the audit log).
+ * @returns {object} { kid, algorithm } of the new active key.
+ */
+const rotateSigningKey = async (actorId) => {
+  if (!isAsymmetric()) {
+    throw new AppError('Key rotation requires JWT_ALGORITHM=RS256 or ES256.', 400, 'KEY_ROTATION_UNAVAILABLE');
+  }
+
+  // The new key is stored first, so a failure below never leaves the deployment without one
+  const keyPair = await createKeyPair(config.jwt.algorithm);
+  await SigningKey.create({ ...keyPair, status: 'pending' });
+
+  // Retire whichever key is active, then promote ours. Another rotation (or getActiveKey on
+  // another instance) may activate a key in between; that one is retired on the next attempt.
+  let isActivated = false;
+  for (let attempt = 0; attempt < MAX_ROTATION_ATTEMPTS && !isActivated; attempt++) {
+    const now = new Date();
+    await SigningKey.updateMany(
+      { status: 'active' },
+      { $set: { status: 'retired', retiredAt: now, verifyUntil: retentionEnd(now) } }
+    );
+    try {
+      await SigningKey.updateOne({ kid: keyPair.kid, status: 'pending' }, { $set: { status: 'active' } });
+      isActivated = true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (!isActivated) {
+    await SigningKey.deleteOne({ kid: keyPair.kid, status: 'pending' });
+    throw new AppError('Another key rotation is in progress. Try again.', 409, 'KEY_ROTATION_CONFLICT');
+  }
+  await reloadKeys();
+
+  logger.warn({ event: 'signing_key_rotated', actorId, kid: keyPair.kid, algorithm: keyPair.algorithm });
+
+  return { kid: keyPair.kid, algorithm: keyPair.algorithm };
+};
+
+/**
+ * Drops the cached keys so the next call re-reads them (e.g., after tests reset the database).
+ */
+const clearKeyCache = () => {
+  keyCache = { keys: new Map(), activeKid: null, loadedAt: 0 };
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  getJwks,
+  rotateSigningKey,
+  clearKeyCache,
+};
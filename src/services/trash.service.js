@@ -0,0 +1,102 @@
+// trash.service.js
+// The per-user trash of soft-deleted posts and comments (see models/soft-delete.plugin.js),
+// and the purge that removes expired trash for good.
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const PostRevision = require('../models/PostRevision');
+const postAttachmentService = require('./post-attachment.service');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 500; // Per run and per type; the job catches up on the next run
+
+const purgeDate = deletedAt => new Date(new Date(deletedAt).getTime() + config.content.trashRetentionDays * DAY_MS);
+
+/**
+ * Lists what the user deleted themselves, most recently deleted first. Content removed by
+ * staff is not in the author's trash, and comments trashed along with their post are
+ * represented by the post.
+ * @param {string} userId - The owner of the trash.
+ * @param {object} query - { type: 'posts'|'comments', page, limit }
+ * @returns {object} { items (each with `purgeAt`), page, limit, totalResults, totalPages, hasNextPage, hasPrevPage }
+ */
+const listTrash = async (userId, query = {}) => {
+  const page = parseInt(query.page, 10) || 1;
+  const limit = parseInt(query.limit, 10) || 20;
+  const Model = query.type === 'comments' ? Comment : Post;
+
+  const filter = { 'author.id': userId, deletedBy: userId, deletedAt: { $ne: null } };
+  if (Model === Comment) {
+    filter.deletedWithPost = { $ne: true };
+  }
+
+  const [items, totalResults] = await Promise.all([
+    Model.find(filter)
+      .sort({ deletedAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean()
+      .exec(),
+    Model.countDocuments(filter),
+  ]);
+  const totalPages = Math.ceil(totalResults / limit);
+
+  return {
+    // Trashed posts are only listed for their author, who may still see their images
+    items: items.map(item => ({ ...(Model === Post ? postAttachmentService.withAttachmentLinks(item) : item), purgeAt: purgeDate(item.deletedAt) })),
+    page,
+    limit,
+    totalResults,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  };
+};
+
+/**
+ * Hard-deletes posts and comments that have been in the trash longer than the retention period
+ * (run by the trash-purge job). A post takes its comments, likes and revisions with it.
+ * @returns {{ posts: number, comments: number }}
+ */
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - config.content.trashRetentionDays * DAY_MS);
+
+  // 1. Expired posts, with everything attached to them
+  const posts = await Post.find({ deletedAt: { $lte: cutoff } }).select('_id attachments').limit(PURGE_BATCH_SIZE).lean();
+  const postIds = posts.map(post => post._id);
+  if (postIds.length > 0) {
+    const commentIdsOnPosts = await Comment.find({ postId: { $in: postIds } }).setOptions({ withDeleted: true }).distinct('_id');
+    await Like.deleteMany({
+      $or: [
+        { onModel: 'Post', resourceId: { $in: postIds } },
+        { onModel: 'Comment', resourceId: { $in: commentIdsOnPosts } },
+      ],
+    });
+    await Comment.deleteMany({ postId: { $in: postIds } });
+    await PostRevision.deleteMany({ postId: { $in: postIds } });
+    await Post.deleteMany({ _id: { $in: postIds } });
+    await postAttachmentService.deleteAttachmentFiles(posts.flatMap(post => post.attachments || []));
+  }
+
+  // 2. Comments trashed on their own (their post's commentCount was adjusted at deletion)
+  const comments = await Comment.find({ deletedAt: { $lte: cutoff } }).select('_id').limit(PURGE_BATCH_SIZE).lean();
+  const commentIds = comments.map(comment => comment._id);
+  if (commentIds.length > 0) {
+    await Like.deleteMany({ onModel: 'Comment', resourceId: { $in: commentIds } });
+    await Comment.deleteMany({ _id: { $in: commentIds } });
+  }
+
+  if (postIds.length > 0 || commentIds.length > 0) {
+    logger.info({ event: 'trash_purged', posts: postIds.length, comments: commentIds.length });
+  }
+
+  return { posts: postIds.length, comments: commentIds.length };
+};
+
+module.exports = {
+  listTrash,
+  purgeExpiredTrash,
+};
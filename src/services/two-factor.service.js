@@ -0,0 +1,170 @@
+// two-factor.service.js
+// Business logic for TOTP two-factor authentication: enrolment, confirmation,
+// verification of a second factor, recovery codes and disabling.
+
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Helper to normalize a recovery code as typed by the user ("ABCD1234-EF56..." -> "abcd1234ef56...")
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Helper to create a fresh set of recovery codes: plain codes for the user, hashes for the DB
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => `${generateToken(4)}-${generateToken(4)}`);
+  const hashes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+  return { codes, hashes };
+};
+
+// 1. Start enrolment: issue a secret the user adds to their authenticator app
+const startEnrollment = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found.', 404, 'USER_NOT_FOUND');
+  }
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already enabled.', 400, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  // Starting again simply replaces the unconfirmed secret
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+  logger.info({ event: 'two_factor_enrollment_started', userId: user._id });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: config.auth.twoFactorIssuer }),
+  };
+};
+
+// 2. Confirm enrolment with a code from the app; returns the one-time recovery codes
+const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+  if (!user) {
+    throw new AppError('User not found.', 404, 'USER_NOT_FOUND');
+  }
+
+  if (user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already enabled.', 400, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    throw new AppError('Start two-factor setup before confirming it.', 400, 'TWO_FACTOR_NOT_STARTED');
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new AppError('Invalid two-factor code.', 400, 'INVALID_2FA_CODE');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': user.twoFactor.pendingSecret,
+      'twoFactor.recoveryCodes': hashes,
+      'twoFactor.lastUsedStep': step, // The confirmation code can't be reused to log in
+      'twoFactor.enabledAt': new Date(),
+    },
+    $unset: { 'twoFactor.pendingSecret': 1 },
+  });
+
+  logger.info({ event: 'two_factor_enabled', userId: user._id });
+
+  // Plain recovery codes are shown once and never stored
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Verifies a second factor: either a TOTP code or a one-time recovery code.
+ * Both paths are atomic, so a code can't be used twice even by concurrent requests.
+ * @param {string} userId - The user completing the check.
+ * @param {object} factor - { code } or { recoveryCode }.
+ * @returns {string|null} 'totp' or 'recovery_code' on success, null otherwise.
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': codeHash },
+      { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+    );
+
+    if (result.modifiedCount === 1) {
+      logger.warn({ event: 'two_factor_recovery_code_used', userId });
+      return 'recovery_code';
+    }
+    return null;
+  }
+
+  const user = await User.findById(userId).select('+twoFactor.secret').lean();
+  if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+    return null;
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  // Replay guard: only accept a time step newer than the last one used
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+      ],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return result.modifiedCount === 1 ? 'totp' : null;
+};
+
+// 3. Disable 2FA (requires the password AND a valid second factor)
+const disableTwoFactor = async (userId, { password, code, recoveryCode }) => {
+  const user = await User.findById(userId).select('+password');
+  if (!user) {
+    throw new AppError('User not found.', 404, 'USER_NOT_FOUND');
+  }
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled.', 400, 'TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (!(await user.comparePassword(password))) {
+    throw new AppError('Current password is incorrect.', 400, 'INVALID_CURRENT_PASSWORD');
+  }
+
+  if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+    throw new AppError('Invalid two-factor code.', 400, 'INVALID_2FA_CODE');
+  }
+
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+    $unset: {
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.recoveryCodes': 1,
+      'twoFactor.lastUsedStep': 1,
+    },
+  });
+
+  logger.info({ event: 'two_factor_disabled', userId: user._id });
+};
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+};
@@ -0,0 +1,85 @@
+// csrf.js
+// CSRF protection for cookie-authenticated clients (signed double-submit cookie).
+// On login/refresh we set a readable `csrfToken` cookie and also return the value in the body;
+// the client echoes it in the `X-CSRF-Token` header on every state-changing request.
+// A cross-site page can make the browser send our cookies, but it can't read the token.
+// The token is an HMAC over the login session ID, so it is useless with any other session.
+
+const crypto = require('crypto');
+const AppError = require('./AppError');
+const config = require('../config/config');
+
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const sign = (sessionId, nonce) => crypto
+  .createHmac('sha256', config.csrf.secret)
+  .update(`${sessionId}.${nonce}`)
+  .digest('base64url');
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Creates a CSRF token bound to a login session.
+ * @param {string} sessionId - The session (`sid`) the auth cookies belong to.
+ * @returns {string} The token ("<nonce>.<signature>").
+ */
+const issueCsrfToken = (sessionId) => {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  return `${nonce}.${sign(sessionId, nonce)}`;
+};
+
+/**
+ * Sets the CSRF cookie. Deliberately NOT HttpOnly: same-site frontends read it to set the header.
+ * @param {object} res - The Express response.
+ * @param {string} token - Token from issueCsrfToken().
+ */
+const setCsrfCookie = (res, token) => {
+  res.cookie(CSRF_COOKIE, token, {
+    maxAge: 7 * 24 * 60 * 60 * 1000, // Same lifetime as the refresh-token cookie
+    httpOnly: false,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'Lax',
+    path: '/', // Readable by the frontend's pages, not only by /api/v1
+  });
+};
+
+const clearCsrfCookie = (res) => {
+  res.clearCookie(CSRF_COOKIE, { path: '/' });
+};
+
+/**
+ * Checks the CSRF header of a cookie-authenticated request. Safe methods are always allowed.
+ * @param {object} req - The Express request.
+ * @param {string} sessionId - The session the request's cookies belong to.
+ * @returns {AppError|null} An error if the request must be rejected, otherwise null.
+ */
+const checkCsrf = (req, sessionId) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return null;
+  }
+
+  const headerToken = req.get(CSRF_HEADER);
+  const cookieToken = req.cookies && req.cookies[CSRF_COOKIE];
+  const [nonce, signature] = String(headerToken || '').split('.');
+
+  if (!headerToken || !cookieToken || !safeEqual(headerToken, cookieToken)
+    || !nonce || !signature || !sessionId || !safeEqual(signature, sign(sessionId, nonce))) {
+    return new AppError(`Missing or invalid CSRF token. Send the csrfToken value in the ${CSRF_HEADER} header.`, 403, 'CSRF_TOKEN_INVALID');
+  }
+
+  return null;
+};
+
+module.exports = {
+  CSRF_HEADER,
+  issueCsrfToken,
+  setCsrfCookie,
+  clearCsrfCookie,
+  checkCsrf,
+};
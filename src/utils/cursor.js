@@ -0,0 +1,54 @@
+// cursor.js
+// Opaque cursors for keyset pagination over (createdAt, _id), newest first.
+// Clients must treat cursors as opaque strings; the encoding may change at any time.
+
+const mongoose = require('mongoose');
+const AppError = require('./AppError');
+
+/**
+ * Encodes the sort key of the last item of a page.
+ * @param {object} doc - A document with `createdAt` and `_id`.
+ * @returns {string} The opaque cursor.
+ */
+const encodeCursor = (doc) => Buffer
+  .from(JSON.stringify({ c: new Date(doc.createdAt).toISOString(), i: String(doc._id) }))
+  .toString('base64url');
+
+/**
+ * Decodes a cursor produced by encodeCursor().
+ * @param {string} cursor - The opaque cursor from the client.
+ * @returns {{ createdAt: Date, id: mongoose.Types.ObjectId }}
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const createdAt = new Date(c);
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(i)) {
+      throw new Error('Malformed cursor');
+    }
+    return { createdAt, id: new mongoose.Types.ObjectId(i) };
+  } catch (error) {
+    throw new AppError('Invalid pagination cursor.', 400, 'INVALID_CURSOR');
+  }
+};
+
+/**
+ * Builds the filter for items strictly after the cursor in (createdAt desc, _id desc) order.
+ * @param {string} cursor - The opaque cursor from the client.
+ * @returns {object} A MongoDB filter to combine with the query's own filter.
+ */
+const afterCursorFilter = (cursor) => {
+  const { createdAt, id } = decodeCursor(cursor);
+  return {
+    $or: [
+      { createdAt: { $lt: createdAt } },
+      { createdAt, _id: { $lt: id } },
+    ],
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursorFilter,
+};
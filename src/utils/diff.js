@@ -0,0 +1,93 @@
+// diff.js
+// Word-level text diff (longest common subsequence), used to compare post revisions.
+
+// Above this many LCS cells (tokens x tokens) the changed middle is reported as one replacement
+// instead, so a pathological pair of texts can't tie up the event loop or memory.
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+// Words and the whitespace between them, so joining the tokens gives back the exact text
+const tokenize = text => String(text || '').match(/\s+|\S+/g) || [];
+
+// Helper to append a token, merging it into the previous segment when the operation is the same
+const pushSegment = (segments, op, text) => {
+  const last = segments[segments.length - 1];
+  if (last && last.op === op) {
+    last.text += text;
+  } else {
+    segments.push({ op, text });
+  }
+};
+
+// Helper to diff the tokens between the common prefix and suffix
+const diffMiddle = (segments, before, after) => {
+  const rows = before.length;
+  const cols = after.length;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    before.forEach(token => pushSegment(segments, 'delete', token));
+    after.forEach(token => pushSegment(segments, 'insert', token));
+    return;
+  }
+
+  // lengths[i * (cols + 1) + j] = LCS length of before[i..] and after[j..]
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * width + j] = before[i] === after[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      pushSegment(segments, 'equal', before[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      pushSegment(segments, 'delete', before[i++]);
+    } else {
+      pushSegment(segments, 'insert', after[j++]);
+    }
+  }
+  while (i < rows) pushSegment(segments, 'delete', before[i++]);
+  while (j < cols) pushSegment(segments, 'insert', after[j++]);
+};
+
+/**
+ * Compares two texts word by word.
+ * @param {string} oldText - The earlier version.
+ * @param {string} newText - The later version.
+ * @returns {Array<{ op: 'equal'|'delete'|'insert', text: string }>} Segments in reading order.
+ */
+const diffWords = (oldText, newText) => {
+  const before = tokenize(oldText);
+  const after = tokenize(newText);
+
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix
+    && suffix < after.length - prefix
+    && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const segments = [];
+  before.slice(0, prefix).forEach(token => pushSegment(segments, 'equal', token));
+  diffMiddle(segments, before.slice(prefix, before.length - suffix), after.slice(prefix, after.length - suffix));
+  before.slice(before.length - suffix).forEach(token => pushSegment(segments, 'equal', token));
+
+  return segments;
+};
+
+module.exports = {
+  diffWords,
+};
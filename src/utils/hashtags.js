@@ -0,0 +1,49 @@
+// hashtags.js
+// Extracts `#hashtags` from post content and normalizes them for storage and lookups.
+// A tag is 1-50 letters, digits or underscores and must contain at least one letter
+// ("#2024" is a number, not a tag). "#Café" and "#cafe" are different tags; "#CAFÉ" and "#café" are not.
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_POST = 30;
+
+// The lookbehind skips URL fragments ("example.com/#intro"), HTML entities ("&#39;") and "a#b"
+const HASHTAG_PATTERN = new RegExp(`(?<![\\p{L}\\p{N}_&/#])#([\\p{L}\\p{N}_]{1,${MAX_TAG_LENGTH}})(?![\\p{L}\\p{N}_])`, 'gu');
+const TAG_PATTERN = new RegExp(`^[\\p{L}\\p{N}_]{1,${MAX_TAG_LENGTH}}$`, 'u');
+
+/**
+ * Normalizes a tag as typed by a user (with or without the leading '#').
+ * @param {string} tag - The raw tag.
+ * @returns {string|null} The lowercase, NFC-normalized tag, or null if it isn't a valid tag.
+ */
+const normalizeTag = (tag) => {
+  const normalized = String(tag || '').replace(/^#/, '').normalize('NFC').toLowerCase();
+  if (!TAG_PATTERN.test(normalized) || !/[\p{L}_]/u.test(normalized)) {
+    return null;
+  }
+  return normalized;
+};
+
+/**
+ * Collects the distinct hashtags in a text, in order of first appearance.
+ * @param {string} text - Post content.
+ * @returns {string[]} Normalized tags (at most MAX_TAGS_PER_POST).
+ */
+const extractHashtags = (text) => {
+  const tags = new Set();
+  for (const match of String(text || '').normalize('NFC').matchAll(HASHTAG_PATTERN)) {
+    const tag = normalizeTag(match[1]);
+    if (tag) {
+      tags.add(tag);
+    }
+    if (tags.size === MAX_TAGS_PER_POST) {
+      break;
+    }
+  }
+  return [...tags];
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  extractHashtags,
+};
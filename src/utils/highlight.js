@@ -0,0 +1,130 @@
+// highlight.js
+// Builds highlighted snippets for search results. MongoDB's $text search doesn't report
+// where it matched, so the query is re-parsed here and matched approximately (word prefixes,
+// naive suffix stripping) against the stored text.
+// Output is HTML: everything except the <mark> tags is escaped.
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40; // Characters of context kept before the first match
+
+// Common words MongoDB's English text index ignores; highlighting them would only add noise
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'if', 'in', 'into', 'is', 'it',
+  'no', 'not', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this',
+  'to', 'was', 'we', 'were', 'will', 'with', 'you',
+]);
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper to approximate the stemming done by the text index ("liked" -> "lik", "running" -> "run")
+const stem = (word) => {
+  const stripped = word.replace(/(ing|ed|es|s)$/, '').replace(/([^aeiou])\1$/, '$1'); // "runn" -> "run"
+  return stripped.length >= 3 ? stripped : word;
+};
+
+/**
+ * Turns a $text search string into a regular expression matching its positive terms.
+ * Quoted phrases match literally; negated terms (-word, -"phrase") are ignored.
+ * @param {string} search - The raw search string.
+ * @returns {RegExp|null} A global, case-insensitive pattern, or null if nothing can be highlighted.
+ */
+const buildHighlighter = (search) => {
+  const patterns = [];
+
+  const rest = String(search).replace(/(-?)"([^"]*)"/g, (match, negated, phrase) => {
+    const words = phrase.trim().split(/\s+/).filter(Boolean);
+    if (!negated && words.length > 0) {
+      patterns.push(words.map(escapeRegExp).join('\\s+'));
+    }
+    return ' ';
+  });
+
+  rest.split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase())
+    .filter(term => term.length >= 2 && !STOP_WORDS.has(term))
+    .forEach(term => patterns.push(`${escapeRegExp(stem(term))}[\\p{L}\\p{N}]*`));
+
+  if (patterns.length === 0) {
+    return null;
+  }
+
+  // Longest first so a phrase wins over the single words inside it
+  patterns.sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'giu');
+};
+
+// Helper to escape a piece of text, wrapping every match in <mark>
+const markMatches = (text, highlighter) => {
+  if (!highlighter) {
+    return escapeHtml(text);
+  }
+
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(highlighter)) {
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+};
+
+/**
+ * Highlights every match in a short field (e.g., a post title), without truncating it.
+ * @param {string} text - The stored text.
+ * @param {RegExp|null} highlighter - From buildHighlighter().
+ * @returns {string} Escaped HTML.
+ */
+const highlightText = (text, highlighter) => markMatches(String(text || ''), highlighter);
+
+/**
+ * Cuts a window of the text around the first match and highlights the matches inside it.
+ * Falls back to the start of the text when no term can be located (e.g., stemming differences).
+ * @param {string} text - The stored text.
+ * @param {RegExp|null} highlighter - From buildHighlighter().
+ * @returns {string} Escaped HTML, with an ellipsis where the text was cut.
+ */
+const buildSnippet = (text, highlighter) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (source.length <= SNIPPET_LENGTH) {
+    return markMatches(source, highlighter);
+  }
+
+  let start = 0;
+  if (highlighter) {
+    highlighter.lastIndex = 0;
+    const first = highlighter.exec(source);
+    highlighter.lastIndex = 0;
+    if (first) {
+      start = Math.max(0, Math.min(first.index - SNIPPET_LEAD, source.length - SNIPPET_LENGTH));
+    }
+  }
+
+  // Snap to word boundaries so the snippet doesn't start or end mid-word
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    start = space !== -1 && space - start < SNIPPET_LEAD ? space + 1 : start;
+  }
+  let end = Math.min(source.length, start + SNIPPET_LENGTH);
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < source.length ? ' …' : '';
+  return `${prefix}${markMatches(source.slice(start, end), highlighter)}${suffix}`;
+};
+
+module.exports = {
+  buildHighlighter,
+  highlightText,
+  buildSnippet,
+};
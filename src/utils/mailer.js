@@ -0,0 +1,69 @@
+// mailer.js
+// Outbound email abstraction. Services call sendMail() and never know how the
+// message is delivered; the transport is picked by config.mail.transport.
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+const logger = require('./logger');
+
+// --- Transports ---
+// Each transport is an async function that receives a fully built message.
+
+// Console: Log the message (default for development)
+const consoleTransport = async (message) => {
+  logger.info({ event: 'mail_console', to: message.to, subject: message.subject, text: message.text });
+};
+
+// File: Write each message as a JSON file so dev tools/tests can read the links
+const fileTransport = async (message) => {
+  const dir = path.resolve(config.mail.fileDir);
+  await fs.mkdir(dir, { recursive: true });
+
+  const filename = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@.]/g, '_')}.json`;
+  await fs.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+};
+
+// SMTP: Real delivery for production (transporter is created lazily and reused)
+let smtpTransporter;
+const smtpTransport = async (message) => {
+  if (!smtpTransporter) {
+    const { host, port, secure, user, pass } = config.mail.smtp;
+    smtpTransporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  await smtpTransporter.sendMail(message);
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+/**
+ * Sends an email through the configured transport.
+ * @param {object} options - { to, subject, text, html }.
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = transports[config.mail.transport];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+  }
+
+  const message = { from: config.mail.from, to, subject, text, html };
+  await transport(message);
+
+  logger.info({ event: 'mail_sent', transport: config.mail.transport, to, subject });
+};
+
+module.exports = {
+  sendMail,
+};
@@ -0,0 +1,59 @@
+// markdown.js
+// Renders user content, written as CommonMark, to HTML that clients can insert as-is.
+// Raw HTML in the source is shown as text, and the rendered output still goes through an
+// allow-list (sanitize-html), so a renderer bug can't smuggle markup through.
+
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+// Images are attached to posts (stored by us), not hot-linked from anywhere: `![alt](url)` stays a link
+const postRenderer = new MarkdownIt('commonmark', { html: false }).disable('image');
+// Comments keep to inline syntax (emphasis, code spans, links); line breaks are kept as typed
+const commentRenderer = new MarkdownIt('commonmark', { html: false, breaks: true }).disable('image');
+
+const LINK_SCHEMES = ['http', 'https', 'mailto'];
+
+// Links are user-supplied: they get no ranking credit and no handle on the page that opened them
+const LINK_ATTRIBUTES = ['href', 'title', 'rel'];
+const transformTags = {
+  a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' }),
+};
+
+const POST_HTML = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote',
+    'ul', 'ol', 'li', 'pre', 'code', 'em', 'strong', 'a',
+  ],
+  allowedAttributes: { a: LINK_ATTRIBUTES, ol: ['start'], code: ['class'] },
+  allowedClasses: { code: ['language-*'] }, // Fenced code blocks name their language
+  allowedSchemes: LINK_SCHEMES,
+  allowProtocolRelative: false,
+  transformTags,
+};
+
+const COMMENT_HTML = {
+  allowedTags: ['br', 'code', 'em', 'strong', 'a'],
+  allowedAttributes: { a: LINK_ATTRIBUTES },
+  allowedSchemes: LINK_SCHEMES,
+  allowProtocolRelative: false,
+  transformTags,
+};
+
+/**
+ * Renders a post body: the full CommonMark block and inline syntax, except images.
+ * @param {string} markdown - The stored `content`.
+ * @returns {string} Sanitized HTML.
+ */
+const renderPostHtml = markdown => sanitizeHtml(postRenderer.render(String(markdown || '')), POST_HTML);
+
+/**
+ * Renders a comment: inline syntax only, without paragraphs, headings, lists or blocks.
+ * @param {string} markdown - The stored `content`.
+ * @returns {string} Sanitized HTML.
+ */
+const renderCommentHtml = markdown => sanitizeHtml(commentRenderer.renderInline(String(markdown || '')), COMMENT_HTML);
+
+module.exports = {
+  renderPostHtml,
+  renderCommentHtml,
+};
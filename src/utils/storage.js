@@ -3,9 +3,31 @@
 
 const fs = require('fs/promises');
 const path = require('path');
+const crypto = require('crypto');
 const logger = require('./logger');
+const config = require('../config/config');
 
 const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+// Private files (e.g., data exports) are never served statically, only via signed links
+const PRIVATE_DIR = path.join(__dirname, '..', 'private');
+
+// Helper to map a '/public/...' or '/private/...' key to its local path (null if invalid)
+const resolveFileKey = (fileKey) => {
+  const root = fileKey && fileKey.startsWith('/public/') ? PUBLIC_DIR
+    : fileKey && fileKey.startsWith('/private/') ? PRIVATE_DIR
+      : null;
+  if (!root) return null;
+
+  const fullPath = path.join(root, fileKey.substring(fileKey.indexOf('/', 1) + 1));
+  // Reject keys that escape their root (e.g., '/private/../config')
+  return fullPath.startsWith(root + path.sep) ? fullPath : null;
+};
+
+// Helper to sign a key + expiry (stands in for the provider's presigned-URL signature)
+const signDownload = (fileKey, expires) => crypto
+  .createHmac('sha256', config.storage.signedUrlSecret)
+  .update(`${fileKey}:${expires}`)
+  .digest('hex');
 
 /**
  * Simulates uploading a file to cloud storage and returns its accessible URL/key.
@@ -41,15 +63,13 @@ const uploadFileToCloud = async (file, destDir = 'uploads') => {
  * @param {string} fileKey - The unique key/path of the file (e.g., '/public/avatars/...).
  */
 const deleteFileFromCloud = async (fileKey) => {
-  // 1. Convert the public URL path back to the local file system path
-  if (!fileKey || !fileKey.startsWith('/public/')) {
+  // 1. Convert the URL path back to the local file system path
+  // e.g., /public/avatars/filename.jpg -> path/to/src/public/avatars/filename.jpg
+  const fullPath = resolveFileKey(fileKey);
+  if (!fullPath) {
       logger.warn({ event: 'storage_delete_invalid', fileKey });
       return; // Safety check
   }
-  
-  // Convert /public/avatars/filename.jpg -> path/to/src/public/avatars/filename.jpg
-  const relativePath = fileKey.substring('/public/'.length);
-  const fullPath = path.join(PUBLIC_DIR, relativePath);
 
   try {
     await fs.unlink(fullPath);
@@ -64,7 +84,83 @@ const deleteFileFromCloud = async (fileKey) => {
   }
 };
 
+/**
+ * Simulates downloading a file from cloud storage into memory.
+ * @param {string} fileKey - The key/path of the file.
+ * @returns {Buffer|null} The file contents, or null if it does not exist.
+ */
+const readFileFromCloud = async (fileKey) => {
+  const fullPath = resolveFileKey(fileKey);
+  if (!fullPath) {
+    return null;
+  }
+
+  try {
+    return await fs.readFile(fullPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.warn({ event: 'storage_read_missing', fileKey });
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Simulates uploading a file to a private bucket (not publicly readable).
+ * @param {string} localPath - Path of the file to move into storage.
+ * @param {string} fileName - Name to store it under.
+ * @param {string} destDir - The target sub-directory (e.g., 'exports').
+ * @returns {string} The private key of the file (e.g., '/private/exports/...').
+ */
+const uploadPrivateFile = async (localPath, fileName, destDir = 'uploads') => {
+  await fs.mkdir(path.join(PRIVATE_DIR, destDir), { recursive: true });
+  await fs.rename(localPath, path.join(PRIVATE_DIR, destDir, fileName));
+
+  const fileKey = `/private/${destDir}/${fileName}`;
+  logger.info({ event: 'storage_upload_success', fileKey });
+
+  return fileKey;
+};
+
+/**
+ * Simulates a presigned download URL: anyone holding it can fetch the file until it expires.
+ * In production, this would be the S3/GCS presigned URL.
+ * @param {string} fileKey - The private key of the file.
+ * @param {number} expiresInSeconds - Lifetime of the link.
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+const getSignedDownloadUrl = (fileKey, expiresInSeconds = config.storage.signedUrlExpiryMinutes * 60) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  const params = new URLSearchParams({ key: fileKey, expires: String(expires), signature: signDownload(fileKey, expires) });
+
+  return { url: `/api/v1/files/download?${params.toString()}`, expiresAt: new Date(expires * 1000) };
+};
+
+/**
+ * Checks a signed download link and returns the local path of the file it grants.
+ * @param {object} query - { key, expires, signature } from the link.
+ * @returns {string|null} The local path, or null if the link is invalid or expired.
+ */
+const resolveSignedDownload = ({ key, expires, signature }) => {
+  if (!key || !expires || !signature || Number(expires) * 1000 <= Date.now()) {
+    return null;
+  }
+
+  const expected = Buffer.from(signDownload(key, expires));
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return resolveFileKey(key);
+};
+
 module.exports = {
   uploadFileToCloud,
   deleteFileFromCloud,
+  readFileFromCloud,
+  uploadPrivateFile,
+  getSignedDownloadUrl,
+  resolveSignedDownload,
 };
\ No newline at end of file
@@ -0,0 +1,25 @@
+// tokens.js
+// Helpers for opaque, single-use secrets (password reset links, verification links, etc.).
+// Only the SHA-256 hash is ever stored; the raw token is sent to the user once.
+
+const crypto = require('crypto');
+
+/**
+ * Generates a cryptographically random token.
+ * @param {number} bytes - Number of random bytes (the hex string is twice as long).
+ * @returns {string} The raw token as a hex string.
+ */
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Hashes a raw token for storage/lookup. SHA-256 is enough here (unlike passwords)
+ * because the input is already high-entropy random data.
+ * @param {string} token - The raw token.
+ * @returns {string} The hex-encoded hash.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken,
+};
@@ -0,0 +1,143 @@
+// totp.js
+// Time-based one-time passwords (RFC 6238, built on HOTP from RFC 4226).
+// Implemented with Node's crypto module so no third-party OTP library is needed.
+// Every function takes an optional `timestamp` (ms) so callers and tests control the clock.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30; // Standard period used by authenticator apps
+const DIGITS = 6;
+
+// --- Base32 (RFC 4648) helpers: authenticator apps expect the secret in this encoding ---
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret.');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// HOTP: HMAC-SHA1 over the 8-byte big-endian counter, then dynamic truncation
+const hotp = (key, counter, digits = DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+};
+
+/**
+ * Returns the time step (counter) for a timestamp.
+ * @param {number} timestamp - Milliseconds since epoch.
+ * @returns {number} The 30-second step number.
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generates a new random secret, base32-encoded (160 bits, as recommended by RFC 4226).
+ * @returns {string} The base32 secret.
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Computes the TOTP code for a secret at a given time.
+ * @param {string} secret - Base32-encoded secret.
+ * @param {object} options - { timestamp } in ms (defaults to now).
+ * @returns {string} The zero-padded 6-digit code.
+ */
+const generateTotp = (secret, { timestamp = Date.now() } = {}) => hotp(base32Decode(secret), getTimeStep(timestamp));
+
+/**
+ * Checks a code against the secret, tolerating clock drift of `window` steps either way.
+ * @param {string} secret - Base32-encoded secret.
+ * @param {string} code - The code entered by the user.
+ * @param {object} options - { timestamp, window }.
+ * @returns {number|null} The matching time step (for replay protection), or null if invalid.
+ */
+const verifyTotp = (secret, code, { timestamp = Date.now(), window = 1 } = {}) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep(timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = Buffer.from(hotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Builds the otpauth:// URI that authenticator apps import (usually via QR code).
+ * @param {object} options - { secret, accountName, issuer }.
+ * @returns {string} The provisioning URI.
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+};
@@ -0,0 +1,39 @@
+// admin.validation.js
+// Joi schemas for staff-only user management endpoints.
+
+const Joi = require('joi');
+const { ROLES } = require('../config/roles');
+
+const mongoId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+  'string.pattern.base': 'Id must be a valid MongoDB ObjectId.',
+});
+
+const setRoles = {
+  params: Joi.object().keys({
+    id: mongoId,
+  }),
+  body: Joi.object().keys({
+    // Every user keeps the base 'user' role
+    roles: Joi.array().items(Joi.string().valid(...ROLES)).min(1).unique().has(Joi.string().valid('user')).required().messages({
+      'array.hasUnknown': 'roles must include user.',
+    }),
+  }),
+};
+
+const setStatus = {
+  params: Joi.object().keys({
+    id: mongoId,
+  }),
+  body: Joi.object().keys({
+    state: Joi.string().valid('active', 'suspended', 'banned').required(),
+    // A reason is required to restrict an account, and meaningless when reinstating it
+    reason: Joi.string().max(500).when('state', { is: 'active', then: Joi.forbidden(), otherwise: Joi.required() }),
+    // Optional end of the restriction; omit for an indefinite suspension/permanent ban
+    expiresAt: Joi.date().iso().greater('now').when('state', { is: 'active', then: Joi.forbidden() }),
+  }),
+};
+
+module.exports = {
+  setRoles,
+  setStatus,
+};
@@ -2,6 +2,7 @@
 // Joi schemas for authentication and user profile endpoints.
 
 const Joi = require('joi');
+const { SCOPES } = require('../config/scopes');
 
 // Define reusable parts for consistency
 const password = Joi.string()
@@ -14,7 +15,15 @@ const password = Joi.string()
     'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number.',
   });
 
+const mongoId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+  'string.pattern.base': 'Id must be a valid MongoDB ObjectId.',
+});
+
 const email = Joi.string().email().required();
+const otpCode = Joi.string().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'Code must be a 6-digit number.',
+});
+const recoveryCode = Joi.string().max(32);
 const username = Joi.string().required().min(3).max(30);
 const optionalUsername = Joi.string().min(3).max(30);
 
@@ -33,6 +42,87 @@ const login = {
   }),
 };
 
+// Schema for token-based clients that send the refresh token in the body instead of a cookie
+const tokenRefresh = {
+  body: Joi.object().keys({
+    refreshToken: Joi.string().required(),
+  }),
+};
+
+const forgotPassword = {
+  body: Joi.object().keys({
+    email: email,
+  }),
+};
+
+const resetPassword = {
+  body: Joi.object().keys({
+    // Raw reset token from the emailed link (32 random bytes, hex-encoded)
+    token: Joi.string().hex().length(64).required(),
+    password: password,
+  }),
+};
+
+const verifyEmail = {
+  body: Joi.object().keys({
+    token: Joi.string().required(),
+  }),
+};
+
+// Reuses the same strength rules as registration for the new password
+const changePassword = {
+  body: Joi.object().keys({
+    currentPassword: Joi.string().required(),
+    newPassword: password,
+  }),
+};
+
+// Second login step for 2FA users: the challenge plus EITHER a TOTP code OR a recovery code
+const loginTwoFactor = {
+  body: Joi.object().keys({
+    mfaToken: Joi.string().required(),
+    code: otpCode,
+    recoveryCode: recoveryCode,
+  }).xor('code', 'recoveryCode'),
+};
+
+const confirmTwoFactor = {
+  body: Joi.object().keys({
+    code: otpCode.required(),
+  }),
+};
+
+const disableTwoFactor = {
+  body: Joi.object().keys({
+    password: Joi.string().required(),
+    code: otpCode,
+    recoveryCode: recoveryCode,
+  }).xor('code', 'recoveryCode'),
+};
+
+// Deleting the account requires re-entering the password
+const deleteAccount = {
+  body: Joi.object().keys({
+    password: Joi.string().required(),
+  }),
+};
+
+// Creating a personal access token for an integration
+const createPersonalToken = {
+  body: Joi.object().keys({
+    name: Joi.string().trim().required().max(100),
+    scopes: Joi.array().items(Joi.string().valid(...Object.values(SCOPES))).min(1).required(),
+    expiresInDays: Joi.number().integer().min(1).max(365).default(30),
+  }),
+};
+
+// Used for routes addressing one of the user's own records (a login session, a data export, a token)
+const sessionIdParam = {
+  params: Joi.object().keys({
+    id: mongoId,
+  }),
+};
+
 // NEW: Schema for updating a user's own profile
 const updateProfile = {
   body: Joi.object().keys({
@@ -45,5 +135,19 @@ const updateProfile = {
 module.exports = {
   register,
   login,
+  tokenRefresh,
   updateProfile,
+  revokeSession: sessionIdParam,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  changePassword,
+  loginTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  deleteAccount,
+  restoreAccount: login,
+  getExport: sessionIdParam,
+  createPersonalToken,
+  revokePersonalToken: sessionIdParam,
 };
\ No newline at end of file
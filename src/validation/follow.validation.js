@@ -0,0 +1,23 @@
+// follow.validation.js
+// Joi schemas for the follow endpoints.
+
+const Joi = require('joi');
+
+const mongoId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+  'string.pattern.base': 'Id must be a valid MongoDB ObjectId.',
+});
+
+// Used for following and unfollowing a user
+const userIdParam = {
+  params: Joi.object().keys({
+    userId: mongoId,
+  }),
+};
+
+module.exports = {
+  followUser: userIdParam,
+  unfollowUser: userIdParam,
+  // The follower (or requesting user) to accept or remove
+  acceptFollower: userIdParam,
+  removeFollower: userIdParam,
+};
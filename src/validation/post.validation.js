@@ -2,16 +2,34 @@
 // Joi schemas for Post CRUD endpoints.
 
 const Joi = require('joi');
+const config = require('../config/config');
 
 // Joi for MongoDB ObjectId pattern check
 const mongoId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
   'string.pattern.base': 'Id must be a valid MongoDB ObjectId.',
 });
 
+const POST_STATUSES = ['draft', 'scheduled', 'published'];
+const POST_VISIBILITIES = ['public', 'followers', 'private'];
+
+// A future publication time, required when (and only allowed when) scheduling
+const publishAt = Joi.date().iso().greater('now').messages({
+  'date.greater': 'publishAt must be in the future.',
+});
+
+// Alt text of attached images; in multipart requests `alt[0]`, `alt[1]`... describe the uploaded `images` in order
+const altText = Joi.string().trim().max(500).allow('');
+const altTexts = Joi.array().items(altText).max(config.content.maxPostImages);
+
+// JSON or multipart/form-data (when images are attached)
 const createPost = {
   body: Joi.object().keys({
     title: Joi.string().required().min(1).max(100),
-    content: Joi.string().required().min(1),
+    content: Joi.string().required().min(1).max(10000), // Markdown
+    status: Joi.string().valid(...POST_STATUSES).default('published'),
+    publishAt: publishAt.when('status', { is: 'scheduled', then: Joi.required(), otherwise: Joi.forbidden() }),
+    visibility: Joi.string().valid(...POST_VISIBILITIES).default('public'),
+    alt: altTexts,
   }),
 };
 
@@ -27,26 +45,113 @@ const updatePost = {
   }),
   body: Joi.object().keys({
     title: Joi.string().min(1).max(100),
-    content: Joi.string().min(1),
+    content: Joi.string().min(1).max(10000),
+    status: Joi.string().valid(...POST_STATUSES),
+    // Without `status`, reschedules an already scheduled post
+    publishAt: publishAt.when('status', {
+      switch: [
+        { is: 'scheduled', then: Joi.required() },
+        { is: Joi.exist(), then: Joi.forbidden() },
+      ],
+    }),
+    visibility: Joi.string().valid(...POST_VISIBILITIES),
   }).min(1), // Ensure at least one field is provided for update
 };
 
 // NEW: Schema for getting a list of posts with pagination
 const getPosts = {
   query: Joi.object().keys({
-    // Offset (page number, 1-based)
-    page: Joi.number().integer().min(1).default(1), 
+    // Opaque keyset cursor (the `nextCursor` of the previous page); empty for the first page
+    cursor: Joi.string().allow('').max(200),
+    // Legacy offset pagination (page number, 1-based); the default until clients opt in with `cursor`
+    page: Joi.number().integer().min(1).when('cursor', { not: Joi.exist(), then: Joi.number().default(1) }),
     // Limit (items per page)
     limit: Joi.number().integer().min(1).max(100).default(20), 
     // Optional: Search by a specific author ID
     authorId: mongoId.optional(),
+    // Opt-in count of the posts the viewer can read, with cursors (capped: see post.service.js)
+    includeTotal: Joi.boolean().default(false),
+  }).oxor('cursor', 'page'),
+};
+
+// The author's drafts and scheduled posts
+const getDrafts = {
+  query: Joi.object().keys({
+    cursor: Joi.string().max(200),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid('draft', 'scheduled'),
   }),
 };
 
+const revisionNumber = Joi.number().integer().min(1);
+
+const listRevisions = {
+  params: Joi.object().keys({
+    id: mongoId,
+  }),
+  query: Joi.object().keys({
+    before: revisionNumber,
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+};
+
+const diffRevisions = {
+  params: Joi.object().keys({
+    id: mongoId,
+  }),
+  query: Joi.object().keys({
+    from: revisionNumber.required(),
+    to: revisionNumber.required(),
+  }),
+};
+
+const restoreRevision = {
+  params: Joi.object().keys({
+    id: mongoId,
+    revision: revisionNumber.required(),
+  }),
+};
+
+// Upload more images (multipart/form-data)
+const addAttachments = {
+  params: Joi.object().keys({
+    id: mongoId,
+  }),
+  body: Joi.object().keys({
+    alt: altTexts,
+  }),
+};
+
+// The attachments to keep, in display order; any left out are removed
+const updateAttachments = {
+  params: Joi.object().keys({
+    id: mongoId,
+  }),
+  body: Joi.object().keys({
+    attachments: Joi.array().items(Joi.object().keys({
+      id: mongoId,
+      alt: altText,
+    })).max(config.content.maxPostImages).unique('id').required(),
+  }),
+};
+
+const removeAttachment = {
+  params: Joi.object().keys({
+    id: mongoId,
+    attachmentId: mongoId,
+  }),
+};
 
 module.exports = {
   createPost,
   getPost,
   updatePost,
   getPosts, // Export the new schema
+  getDrafts,
+  listRevisions,
+  diffRevisions,
+  restoreRevision,
+  addAttachments,
+  updateAttachments,
+  removeAttachment,
 };
\ No newline at end of file
@@ -0,0 +1,26 @@
+// search.validation.js
+// Joi schemas for the search endpoint.
+
+const Joi = require('joi');
+
+const mongoId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+  'string.pattern.base': 'Id must be a valid MongoDB ObjectId.',
+});
+
+const search = {
+  query: Joi.object().keys({
+    // MongoDB $text syntax: words, "exact phrases" and -excluded terms
+    q: Joi.string().trim().required().min(1).max(200),
+    type: Joi.string().valid('all', 'posts', 'comments').default('all'),
+    authorId: mongoId,
+    // Date range on creation time (ISO 8601, inclusive)
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+  }),
+};
+
+module.exports = {
+  search,
+};
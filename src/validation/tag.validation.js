@@ -0,0 +1,32 @@
+// tag.validation.js
+// Joi schemas for the hashtag endpoints.
+
+const Joi = require('joi');
+const { MAX_TAG_LENGTH, normalizeTag } = require('../utils/hashtags');
+
+// Accepts "NodeJS", "#nodejs" (URL-encoded as %23nodejs), etc. and replaces it with the normalized tag
+const tag = Joi.string().required().max(MAX_TAG_LENGTH + 1).custom((value, helpers) => {
+  const normalized = normalizeTag(value);
+  return normalized || helpers.message('Tag must be letters, digits or underscores and contain a letter.');
+});
+
+const tagParam = {
+  params: Joi.object().keys({
+    tag,
+  }),
+};
+
+// Tag feed: same cursor pagination as GET /api/v1/posts
+const getTagPosts = {
+  params: tagParam.params,
+  query: Joi.object().keys({
+    cursor: Joi.string().max(200),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    includeTotal: Joi.boolean().default(false),
+  }),
+};
+
+module.exports = {
+  getTag: tagParam,
+  getTagPosts,
+};
@@ -0,0 +1,34 @@
+// trash.validation.js
+// Joi schemas for the trash endpoints.
+
+const Joi = require('joi');
+
+const mongoId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+  'string.pattern.base': 'Id must be a valid MongoDB ObjectId.',
+});
+
+const listTrash = {
+  query: Joi.object().keys({
+    type: Joi.string().valid('posts', 'comments').default('posts'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+};
+
+const restorePost = {
+  params: Joi.object().keys({
+    id: mongoId,
+  }),
+};
+
+const restoreComment = {
+  params: Joi.object().keys({
+    commentId: mongoId,
+  }),
+};
+
+module.exports = {
+  listTrash,
+  restorePost,
+  restoreComment,
+};
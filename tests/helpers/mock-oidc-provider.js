@@ -0,0 +1,79 @@
+// mock-oidc-provider.js
+// A minimal in-process OpenID Connect provider for tests: discovery, an authorize endpoint
+// that logs in `provider.nextUser` without a UI, a PKCE-checking token endpoint, and JWKS.
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const startMockOidcProvider = async ({ clientId }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key-1';
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  const provider = {
+    issuer,
+    // Claims of the user who "logs in" at the next /authorize call
+    nextUser: { sub: 'external-user-1', email: 'oidc@test.com', email_verified: true, preferred_username: 'oidc_user' },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      redirectUri: req.query.redirect_uri,
+      codeChallenge: req.query.code_challenge,
+      nonce: req.query.nonce,
+      claims: { ...provider.nextUser },
+    });
+
+    const params = new URLSearchParams({ code, state: req.query.state });
+    res.redirect(302, `${req.query.redirect_uri}?${params.toString()}`);
+  });
+
+  app.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code); // Codes are single use
+
+    const verifierHash = crypto.createHash('sha256').update(String(req.body.code_verifier)).digest('base64url');
+    if (!grant || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== verifierHash) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  return provider;
+};
+
+module.exports = {
+  startMockOidcProvider,
+};
@@ -0,0 +1,26 @@
+// users.js
+// Test users created through the API: registered, optionally given extra roles, and logged in
+// as Bearer clients.
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+
+// Roles are set before the first login, so the access token carries them from the start
+const createUserWithToken = async (username, roles) => {
+  const credentials = { username, email: `${username}@test.com`, password: 'Password123' };
+  const register = await request(app).post('/api/v1/auth/register').send(credentials);
+
+  if (roles) {
+    await User.updateOne({ email: credentials.email }, { $set: { roles } });
+  }
+
+  const login = await request(app)
+    .post('/api/v1/auth/token')
+    .send({ email: credentials.email, password: credentials.password });
+  return { token: login.body.accessToken, userId: register.body.user.id };
+};
+
+module.exports = {
+  createUserWithToken,
+};
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const jwt = require('jsonwebtoken');
+const User = require('../../src/models/User');
+const SigningKey = require('../../src/models/SigningKey');
+const config = require('../../src/config/config');
+const signingKeyService = require('../../src/services/signing-key.service');
+
+// Registers a user, optionally with extra roles, and logs in as a Bearer client
+const createUser = async (username, roles) => {
+  const credentials = { username, email: `${username}@test.com`, password: 'Password123' };
+  const register = await request(app).post('/api/v1/auth/register').send(credentials);
+
+  if (roles) {
+    await User.updateOne({ email: credentials.email }, { $set: { roles } });
+  }
+
+  const login = await request(app)
+    .post('/api/v1/auth/token')
+    .send({ email: credentials.email, password: credentials.password });
+
+  return { id: register.body.user.id, credentials, ...login.body };
+};
+
+describe('Admin Endpoints Integration', () => {
+  let admin;
+  let member;
+
+  beforeEach(async () => {
+    admin = await createUser('admin', ['user', 'admin']);
+    member = await createUser('member');
+  });
+
+  describe('PUT /api/v1/admin/users/:id/roles', () => {
+    it('should apply a demotion to the user\'s existing tokens immediately', async () => {
+      const other = await createUser('other', ['user', 'admin']);
+
+      // The demoted admin's token is in use (and its auth state cached) before the change
+      const before = await request(app)
+        .put(`/api/v1/admin/users/${member.id}/roles`)
+        .set('Authorization', `Bearer ${other.accessToken}`)
+        .send({ roles: ['user', 'moderator'] });
+      expect(before.statusCode).toEqual(200);
+
+      const demote = await request(app)
+        .put(`/api/v1/admin/users/${other.id}/roles`)
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ roles: ['user'] });
+      expect(demote.statusCode).toEqual(200);
+
+      const after = await request(app)
+        .put(`/api/v1/admin/users/${member.id}/roles`)
+        .set('Authorization', `Bearer ${other.accessToken}`)
+        .send({ roles: ['user'] });
+      expect(after.statusCode).toEqual(403);
+    });
+  });
+
+  describe('PUT /api/v1/admin/users/:id/status', () => {
+    const setStatus = (body) => request(app)
+      .put(`/api/v1/admin/users/${member.id}/status`)
+      .set('Authorization', `Bearer ${admin.accessToken}`)
+      .send(body);
+
+    it('should forbid regular users', async () => {
+      const res = await request(app)
+        .put(`/api/v1/admin/users/${admin.id}/status`)
+        .set('Authorization', `Bearer ${member.accessToken}`)
+        .send({ state: 'banned', reason: 'Nope' });
+
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should reject the suspended user\'s existing tokens immediately', async () => {
+      const res = await setStatus({ state: 'suspended', reason: 'Spam' });
+      expect(res.statusCode).toEqual(200);
+
+      const profile = await request(app)
+        .put('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${member.accessToken}`)
+        .send({ username: 'renamed' });
+      expect(profile.statusCode).toEqual(403);
+      expect(profile.body.code).toBe('ACCOUNT_SUSPENDED');
+
+      const login = await request(app).post('/api/v1/auth/login').send(member.credentials);
+      expect(login.body.code).toBe('ACCOUNT_SUSPENDED');
+    });
+
+    it('should let the user back in once reinstated', async () => {
+      await setStatus({ state: 'banned', reason: 'Abuse' });
+      await setStatus({ state: 'active' });
+
+      const login = await request(app).post('/api/v1/auth/login').send(member.credentials);
+      expect(login.statusCode).toEqual(200);
+    });
+  });
+
+  describe('POST /api/v1/admin/keys/rotate', () => {
+    const defaultAlgorithm = config.jwt.algorithm;
+
+    const login = async (user) => {
+      const res = await request(app).post('/api/v1/auth/token').send(user.credentials);
+      return res.body.accessToken;
+    };
+
+    beforeEach(async () => {
+      config.jwt.algorithm = 'ES256';
+      signingKeyService.clearKeyCache();
+      admin.accessToken = await login(admin);
+    });
+
+    afterEach(() => {
+      config.jwt.algorithm = defaultAlgorithm;
+      signingKeyService.clearKeyCache();
+    });
+
+    it('should sign access tokens with a key published in the JWKS', async () => {
+      const { header } = jwt.decode(admin.accessToken, { complete: true });
+      expect(header.alg).toBe('ES256');
+
+      const jwks = await request(app).get('/.well-known/jwks.json');
+      expect(jwks.statusCode).toEqual(200);
+      expect(jwks.body.keys.map(key => key.kid)).toEqual([header.kid]);
+      expect(jwks.body.keys[0].d).toBeUndefined(); // Never the private part
+    });
+
+    it('should forbid regular users', async () => {
+      const res = await request(app)
+        .post('/api/v1/admin/keys/rotate')
+        .set('Authorization', `Bearer ${member.accessToken}`);
+
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should rotate the key without invalidating tokens in flight', async () => {
+      const oldKid = jwt.decode(admin.accessToken, { complete: true }).header.kid;
+
+      const res = await request(app)
+        .post('/api/v1/admin/keys/rotate')
+        .set('Authorization', `Bearer ${admin.accessToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.kid).not.toBe(oldKid);
+
+      // The old token still verifies, new tokens use the new key, and both keys are published
+      const sessions = await request(app).get('/api/v1/auth/sessions').set('Authorization', `Bearer ${admin.accessToken}`);
+      expect(sessions.statusCode).toEqual(200);
+
+      const newToken = await login(admin);
+      expect(jwt.decode(newToken, { complete: true }).header.kid).toBe(res.body.data.kid);
+
+      const jwks = await request(app).get('/.well-known/jwks.json');
+      expect(jwks.body.keys.map(key => key.kid).sort()).toEqual([oldKid, res.body.data.kid].sort());
+    });
+
+    it('should handle concurrent rotations without losing the active key', async () => {
+      const oldKid = jwt.decode(admin.accessToken, { complete: true }).header.kid;
+      const rotate = () => request(app)
+        .post('/api/v1/admin/keys/rotate')
+        .set('Authorization', `Bearer ${admin.accessToken}`);
+
+      const results = await Promise.all([rotate(), rotate()]);
+      expect(results.map(res => res.statusCode)).toEqual([200, 200]);
+
+      // Exactly one key is active, and every key involved still verifies
+      const active = await SigningKey.find({ status: 'active' }).lean();
+      expect(active).toHaveLength(1);
+      expect(await SigningKey.countDocuments({ status: 'pending' })).toBe(0);
+
+      const newToken = await login(admin);
+      expect(jwt.decode(newToken, { complete: true }).header.kid).toBe(active[0].kid);
+
+      const jwks = await request(app).get('/.well-known/jwks.json');
+      expect(jwks.body.keys.map(key => key.kid).sort())
+        .toEqual([oldKid, ...results.map(res => res.body.data.kid)].sort());
+    });
+  });
+});
@@ -1,9 +1,19 @@
 // auth.integration.test.js
 
+const path = require('path');
 const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../../src/app');
 const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const Like = require('../../src/models/Like');
+const DataExport = require('../../src/models/DataExport');
+const dataExportService = require('../../src/services/data-export.service');
+const mailer = require('../../src/utils/mailer');
+const config = require('../../src/config/config');
+const totp = require('../../src/utils/totp');
+const loginThrottle = require('../../src/services/login-throttle.service');
 
 // Generate unique test credentials
 const testUser = {
@@ -23,6 +33,7 @@ describe('Auth Endpoints Integration', () => {
   // CRITICAL: Ensure database cleanup before each test
   beforeEach(async () => {
     await User.deleteMany({});
+    loginThrottle.resetAll();
   });
 
   describe('POST /api/v1/auth/register', () => {
@@ -82,5 +93,830 @@ describe('Auth Endpoints Integration', () => {
     });
   });
   
+  describe('Bearer token flow', () => {
+    beforeEach(async () => {
+      await request(app).post('/api/v1/auth/register').send(testUser);
+    });
+
+    it('should return tokens in the body without setting cookies', async () => {
+      const res = await request(app)
+        .post('/api/v1/auth/token')
+        .send({ email: testUser.email, password: testUser.password });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.tokenType).toBe('Bearer');
+      expect(res.body.accessToken).toBeDefined();
+      expect(res.body.refreshToken).toBeDefined();
+      expect(res.headers['set-cookie']).toBeUndefined();
+    });
+
+    it('should authenticate a protected route with an Authorization header', async () => {
+      const login = await request(app)
+        .post('/api/v1/auth/token')
+        .send({ email: testUser.email, password: testUser.password });
+
+      const res = await request(app)
+        .put('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${login.body.accessToken}`)
+        .send({ username: 'bearer_user' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.user.username).toBe('bearer_user');
+    });
+
+    it('should rotate tokens using a refresh token sent in the body', async () => {
+      const login = await request(app)
+        .post('/api/v1/auth/token')
+        .send({ email: testUser.email, password: testUser.password });
+
+      const res = await request(app)
+        .post('/api/v1/auth/token/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.accessToken).toBeDefined();
+      expect(res.body.refreshToken).not.toBe(login.body.refreshToken);
+    });
+  });
+
+  describe('Session management', () => {
+    const loginFrom = (userAgent) => request(app)
+      .post('/api/v1/auth/token')
+      .set('User-Agent', userAgent)
+      .send({ email: testUser.email, password: testUser.password });
+
+    beforeEach(async () => {
+      await request(app).post('/api/v1/auth/register').send(testUser);
+    });
+
+    it('should list one session per login and flag the current one', async () => {
+      const laptop = await loginFrom('laptop');
+      await loginFrom('phone');
+
+      const res = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      // Registration opens a session as well
+      expect(res.body.results).toBe(3);
+      const current = res.body.data.filter(s => s.current);
+      expect(current).toHaveLength(1);
+      expect(current[0].userAgent).toBe('laptop');
+    });
+
+    it('should revoke other sessions so their refresh tokens stop working', async () => {
+      const laptop = await loginFrom('laptop');
+      const phone = await loginFrom('phone');
+
+      const res = await request(app)
+        .delete('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`);
+      expect(res.statusCode).toEqual(200);
+
+      const phoneRefresh = await request(app)
+        .post('/api/v1/auth/token/refresh')
+        .send({ refreshToken: phone.body.refreshToken });
+      expect(phoneRefresh.statusCode).toEqual(401);
+      expect(phoneRefresh.body.code).toBe('AUTH_SESSION_REVOKED');
+
+      const laptopRefresh = await request(app)
+        .post('/api/v1/auth/token/refresh')
+        .send({ refreshToken: laptop.body.refreshToken });
+      expect(laptopRefresh.statusCode).toEqual(200);
+    });
+  });
+
+  describe('Refresh token reuse detection', () => {
+    beforeEach(async () => {
+      await request(app).post('/api/v1/auth/register').send(testUser);
+    });
+
+    it('should revoke the whole token family when a retired token is replayed', async () => {
+      const login = await request(app)
+        .post('/api/v1/auth/token')
+        .send({ email: testUser.email, password: testUser.password });
+      const rotated = await request(app)
+        .post('/api/v1/auth/token/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+      expect(rotated.statusCode).toEqual(200);
+
+      // Replay the token that was just rotated out
+      const replay = await request(app)
+        .post('/api/v1/auth/token/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+      expect(replay.statusCode).toEqual(401);
+      expect(replay.body.code).toBe('AUTH_COMPROMISED');
+
+      // The newest member of the family is dead as well
+      const res = await request(app)
+        .post('/api/v1/auth/token/refresh')
+        .send({ refreshToken: rotated.body.refreshToken });
+      expect(res.statusCode).toEqual(401);
+    });
+  });
+
+  describe('Password reset', () => {
+    let sendMailSpy;
+
+    // Pull the raw token out of the link in the last email sent
+    const lastResetToken = () => {
+      const { text } = sendMailSpy.mock.calls[sendMailSpy.mock.calls.length - 1][0];
+      return text.match(/token=([0-9a-f]{64})/)[1];
+    };
+
+    beforeEach(async () => {
+      sendMailSpy = jest.spyOn(mailer, 'sendMail').mockResolvedValue();
+      await request(app).post('/api/v1/auth/register').send(testUser);
+    });
+
+    afterEach(() => {
+      sendMailSpy.mockRestore();
+    });
+
+    it('should respond identically for unknown emails without sending mail', async () => {
+      const res = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'nobody@test.com' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(sendMailSpy).not.toHaveBeenCalled();
+    });
+
+    it('should reset the password once and revoke existing sessions', async () => {
+      const login = await request(app)
+        .post('/api/v1/auth/token')
+        .send({ email: testUser.email, password: testUser.password });
+
+      await request(app).post('/api/v1/auth/forgot-password').send({ email: testUser.email });
+      const token = lastResetToken();
+
+      const res = await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token, password: 'NewPassword456' });
+      expect(res.statusCode).toEqual(200);
+
+      // Single-use token
+      const reuse = await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token, password: 'OtherPassword789' });
+      expect(reuse.statusCode).toEqual(400);
+      expect(reuse.body.code).toBe('RESET_TOKEN_INVALID');
+
+      // Existing refresh sessions are gone
+      const refresh = await request(app)
+        .post('/api/v1/auth/token/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+      expect(refresh.statusCode).toEqual(401);
+
+      const newLogin = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: testUser.email, password: 'NewPassword456' });
+      expect(newLogin.statusCode).toEqual(200);
+    });
+  });
+
+  describe('Email verification', () => {
+    let sendMailSpy;
+    let agent;
+    let csrfToken;
+
+    const lastVerificationToken = () => {
+      const { text } = sendMailSpy.mock.calls[sendMailSpy.mock.calls.length - 1][0];
+      return text.match(/verify-email\?token=(\S+)/)[1];
+    };
+
+    beforeEach(async () => {
+      sendMailSpy = jest.spyOn(mailer, 'sendMail').mockResolvedValue();
+      agent = request.agent(app);
+      const registration = await agent.post('/api/v1/auth/register').send(testUser);
+      csrfToken = registration.body.csrfToken;
+    });
+
+    afterEach(() => {
+      sendMailSpy.mockRestore();
+      config.auth.requireVerifiedEmail = false;
+    });
+
+    it('should verify the address from the link sent on registration', async () => {
+      expect(sendMailSpy).toHaveBeenCalledWith(expect.objectContaining({ to: testUser.email }));
+
+      const res = await request(app)
+        .post('/api/v1/auth/verify-email')
+        .send({ token: lastVerificationToken() });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.user.emailVerified).toBe(true);
+    });
+
+    it('should only switch email after the new address is verified', async () => {
+      const update = await agent.put('/api/v1/auth/profile')
+        .set('X-CSRF-Token', csrfToken).send({ email: 'new@test.com' });
+      expect(update.body.user.email).toBe(testUser.email);
+      expect(update.body.user.pendingEmail).toBe('new@test.com');
+
+      await request(app).post('/api/v1/auth/verify-email').send({ token: lastVerificationToken() });
+
+      const userInDb = await User.findOne({ email: 'new@test.com' });
+      expect(userInDb).not.toBeNull();
+      expect(userInDb.emailVerified).toBe(true);
+    });
+
+    it('should throttle resend requests', async () => {
+      const res = await agent.post('/api/v1/auth/verify-email/resend').set('X-CSRF-Token', csrfToken);
+
+      expect(res.statusCode).toEqual(429);
+      expect(res.body.code).toBe('VERIFICATION_THROTTLED');
+      expect(res.headers['retry-after']).toBeDefined();
+    });
+
+    it('should block posting until verified when the option is enabled', async () => {
+      config.auth.requireVerifiedEmail = true;
+
+      const res = await agent.post('/api/v1/posts')
+        .set('X-CSRF-Token', csrfToken).send({ title: 'Hello', content: 'World' });
+
+      expect(res.statusCode).toEqual(403);
+      expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+  });
+
+  describe('PUT /api/v1/auth/password', () => {
+    const loginWithToken = () => request(app)
+      .post('/api/v1/auth/token')
+      .send({ email: testUser.email, password: testUser.password });
+
+    beforeEach(async () => {
+      await request(app).post('/api/v1/auth/register').send(testUser);
+    });
+
+    it('should reject a wrong current password', async () => {
+      const login = await loginWithToken();
+
+      const res = await request(app)
+        .put('/api/v1/auth/password')
+        .set('Authorization', `Bearer ${login.body.accessToken}`)
+        .send({ currentPassword: 'WrongPassword123', newPassword: 'NewPassword456' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.code).toBe('INVALID_CURRENT_PASSWORD');
+    });
+
+    it('should enforce the password strength rules', async () => {
+      const login = await loginWithToken();
+
+      const res = await request(app)
+        .put('/api/v1/auth/password')
+        .set('Authorization', `Bearer ${login.body.accessToken}`)
+        .send({ currentPassword: testUser.password, newPassword: 'weak' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.code).toBe('INPUT_VALIDATION_FAILED');
+    });
+
+    it('should keep the current session and revoke the others', async () => {
+      const current = await loginWithToken();
+      const other = await loginWithToken();
+
+      const res = await request(app)
+        .put('/api/v1/auth/password')
+        .set('Authorization', `Bearer ${current.body.accessToken}`)
+        .send({ currentPassword: testUser.password, newPassword: 'NewPassword456' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.accessToken).toBeDefined();
+
+      const sessions = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${res.body.accessToken}`);
+      expect(sessions.statusCode).toEqual(200);
+
+      const otherRefresh = await request(app)
+        .post('/api/v1/auth/token/refresh')
+        .send({ refreshToken: other.body.refreshToken });
+      expect(otherRefresh.statusCode).toEqual(401);
+
+      const userInDb = await User.findOne({ email: testUser.email });
+      expect(userInDb.passwordChangedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('TOTP two-factor authentication', () => {
+    // Fake clock: every TOTP computation (ours and the server's) reads Date.now()
+    let now;
+    let accessToken;
+
+    const enableTwoFactor = async () => {
+      const setup = await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`);
+      const { secret } = setup.body.data;
+
+      const confirm = await request(app)
+        .post('/api/v1/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: totp.generateTotp(secret) });
+
+      return { secret, recoveryCodes: confirm.body.data.recoveryCodes };
+    };
+
+    const passwordLogin = () => request(app)
+      .post('/api/v1/auth/token')
+      .send({ email: testUser.email, password: testUser.password });
+
+    beforeEach(async () => {
+      now = Date.now();
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+      await request(app).post('/api/v1/auth/register').send(testUser);
+      accessToken = (await passwordLogin()).body.accessToken;
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should return an otpauth URI on setup', async () => {
+      const res = await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    });
+
+    it('should return an MFA challenge instead of tokens and complete with a code', async () => {
+      const { secret } = await enableTwoFactor();
+      now += 30 * 1000; // Next time step: the confirmation code can't be replayed
+
+      const challenge = await passwordLogin();
+      expect(challenge.body.mfaRequired).toBe(true);
+      expect(challenge.body.accessToken).toBeUndefined();
+
+      const res = await request(app)
+        .post('/api/v1/auth/token/2fa')
+        .send({ mfaToken: challenge.body.mfaToken, code: totp.generateTotp(secret) });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.accessToken).toBeDefined();
+    });
+
+    it('should reject a replayed code and an expired challenge', async () => {
+      const { secret } = await enableTwoFactor();
+      now += 30 * 1000;
+
+      const challenge = await passwordLogin();
+      const code = totp.generateTotp(secret);
+      await request(app).post('/api/v1/auth/token/2fa').send({ mfaToken: challenge.body.mfaToken, code });
+
+      const replay = await request(app)
+        .post('/api/v1/auth/token/2fa')
+        .send({ mfaToken: challenge.body.mfaToken, code });
+      expect(replay.statusCode).toEqual(401);
+      expect(replay.body.code).toBe('INVALID_2FA_CODE');
+
+      now += 10 * 60 * 1000; // Past the 5 minute challenge lifetime
+      const expired = await request(app)
+        .post('/api/v1/auth/token/2fa')
+        .send({ mfaToken: challenge.body.mfaToken, code: totp.generateTotp(secret) });
+      expect(expired.body.code).toBe('MFA_CHALLENGE_INVALID');
+    });
+
+    it('should accept each recovery code only once', async () => {
+      const { recoveryCodes } = await enableTwoFactor();
+
+      const first = await passwordLogin();
+      const ok = await request(app)
+        .post('/api/v1/auth/token/2fa')
+        .send({ mfaToken: first.body.mfaToken, recoveryCode: recoveryCodes[0] });
+      expect(ok.statusCode).toEqual(200);
+
+      const second = await passwordLogin();
+      const reused = await request(app)
+        .post('/api/v1/auth/token/2fa')
+        .send({ mfaToken: second.body.mfaToken, recoveryCode: recoveryCodes[0] });
+      expect(reused.statusCode).toEqual(401);
+    });
+  });
+
+  describe('Global rate limiting', () => {
+    it('should limit requests per IP', async () => {
+      for (let i = 0; i < config.rateLimit.max; i++) {
+        const res = await request(app).get('/health');
+        expect(res.statusCode).toEqual(200);
+      }
+
+      const limited = await request(app).get('/health');
+      expect(limited.statusCode).toEqual(429);
+      expect(limited.body.code).toBe('RATE_LIMIT_EXCEEDED');
+      expect(limited.headers['retry-after']).toBeDefined();
+    });
+  });
+
+  describe('Per-account login throttling', () => {
+    const attempt = (email, password) => request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password });
+
+    beforeEach(async () => {
+      await request(app).post('/api/v1/auth/register').send(testUser);
+    });
+
+    it('should lock the account after repeated failures, even for the right password', async () => {
+      for (let i = 0; i < config.auth.loginThrottle.freeAttempts; i++) {
+        await attempt(testUser.email, 'WrongPassword123');
+      }
+
+      const res = await attempt(testUser.email, testUser.password);
+
+      expect(res.statusCode).toEqual(429);
+      expect(res.body.code).toBe('AUTH_LOCKED');
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('should reset the counter after a successful login', async () => {
+      for (let i = 0; i < config.auth.loginThrottle.freeAttempts - 1; i++) {
+        await attempt(testUser.email, 'WrongPassword123');
+      }
+      await attempt(testUser.email, testUser.password);
+
+      const res = await attempt(testUser.email, 'WrongPassword123');
+      expect(res.statusCode).toEqual(401);
+    });
+
+    it('should treat unknown emails exactly like real ones', async () => {
+      const first = await attempt('ghost@test.com', 'WrongPassword123');
+      expect(first.statusCode).toEqual(401);
+      expect(first.body.code).toBe('AUTH_FAILED');
+
+      for (let i = 1; i < config.auth.loginThrottle.freeAttempts; i++) {
+        await attempt('ghost@test.com', 'WrongPassword123');
+      }
+
+      const locked = await attempt('ghost@test.com', 'WrongPassword123');
+      expect(locked.body.code).toBe('AUTH_LOCKED');
+    });
+  });
+
+  describe('Account deletion', () => {
+    const defaultGraceDays = config.auth.accountDeletionGraceDays;
+
+    const loginAs = async (credentials) => {
+      const res = await request(app).post('/api/v1/auth/token').send(credentials);
+      return res.body.accessToken;
+    };
+
+    beforeEach(async () => {
+      await Promise.all([Post.deleteMany({}), Comment.deleteMany({}), Like.deleteMany({})]);
+      await request(app).post('/api/v1/auth/register').send(testUser);
+    });
+
+    afterEach(() => {
+      config.auth.accountDeletionGraceDays = defaultGraceDays;
+    });
+
+    it('should require the current password', async () => {
+      const token = await loginAs(testUser);
+
+      const res = await request(app)
+        .delete('/api/v1/auth/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'WrongPassword123' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.code).toBe('INVALID_CURRENT_PASSWORD');
+    });
+
+    it('should deactivate the account during the grace period and allow restoring it', async () => {
+      const token = await loginAs(testUser);
+
+      const res = await request(app)
+        .delete('/api/v1/auth/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: testUser.password });
+      expect(res.statusCode).toEqual(202);
+      expect(res.body.scheduledFor).toBeDefined();
+
+      // Existing tokens and new logins are refused
+      const profile = await request(app).get('/api/v1/auth/sessions').set('Authorization', `Bearer ${token}`);
+      expect(profile.body.code).toBe('ACCOUNT_PENDING_DELETION');
+      const login = await request(app).post('/api/v1/auth/token')
+        .send({ email: testUser.email, password: testUser.password });
+      expect(login.body.code).toBe('ACCOUNT_PENDING_DELETION');
+
+      const restore = await request(app).post('/api/v1/auth/account/restore')
+        .send({ email: testUser.email, password: testUser.password });
+      expect(restore.statusCode).toEqual(200);
+
+      expect(await loginAs(testUser)).toBeDefined();
+    });
+
+    it('should purge the account and its content, fixing counters on other posts', async () => {
+      config.auth.accountDeletionGraceDays = 0;
+      const other = { username: 'other_user', email: 'other@test.com', password: 'Password123' };
+      await request(app).post('/api/v1/auth/register').send(other);
+      const token = await loginAs(testUser);
+      const otherToken = await loginAs(other);
+
+      const ownPost = await request(app).post('/api/v1/posts')
+        .set('Authorization', `Bearer ${token}`).send({ title: 'Mine', content: 'Goes away' });
+      const otherPost = await request(app).post('/api/v1/posts')
+        .set('Authorization', `Bearer ${otherToken}`).send({ title: 'Theirs', content: 'Stays' });
+      const ownPostId = ownPost.body.data._id;
+      const otherPostId = otherPost.body.data._id;
+
+      await request(app).post(`/api/v1/comments/post/${otherPostId}`)
+        .set('Authorization', `Bearer ${token}`).send({ content: 'My comment' });
+      await request(app).post('/api/v1/likes')
+        .set('Authorization', `Bearer ${token}`).send({ resourceId: otherPostId, onModel: 'Post' });
+      await request(app).post(`/api/v1/comments/post/${ownPostId}`)
+        .set('Authorization', `Bearer ${otherToken}`).send({ content: 'Reply on the deleted post' });
+
+      const res = await request(app)
+        .delete('/api/v1/auth/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: testUser.password });
+      expect(res.statusCode).toEqual(204);
+
+      expect(await User.findOne({ email: testUser.email })).toBeNull();
+      expect(await Post.findById(ownPostId)).toBeNull();
+      expect(await Comment.countDocuments({})).toBe(0);
+      expect(await Like.countDocuments({})).toBe(0);
+
+      const survivingPost = await Post.findById(otherPostId);
+      expect(survivingPost.commentCount).toBe(0);
+      expect(survivingPost.likeCount).toBe(0);
+    });
+  });
+
+  describe('Personal data export', () => {
+    let token;
+    let userId;
+
+    // The archive is built in the background: poll until it settles
+    const waitForExport = async (exportId) => {
+      for (let i = 0; i < 50; i++) {
+        const res = await request(app).get(`/api/v1/auth/export/${exportId}`).set('Authorization', `Bearer ${token}`);
+        if (['ready', 'failed'].includes(res.body.data.status)) return res;
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      throw new Error('Export did not finish in time.');
+    };
+
+    beforeEach(async () => {
+      await request(app).post('/api/v1/auth/register').send(testUser);
+      const login = await request(app).post('/api/v1/auth/token')
+        .send({ email: testUser.email, password: testUser.password });
+      token = login.body.accessToken;
+      userId = login.body.user.id;
+      await request(app).post('/api/v1/posts')
+        .set('Authorization', `Bearer ${token}`).send({ title: 'Exported', content: 'Post content' });
+    });
+
+    afterEach(async () => {
+      await dataExportService.deleteUserExports(userId);
+    });
+
+    it('should build an archive and serve it through an expiring signed link', async () => {
+      const res = await request(app).post('/api/v1/auth/export').set('Authorization', `Bearer ${token}`);
+      expect(res.statusCode).toEqual(202);
+
+      const status = await waitForExport(res.body.data.id);
+      expect(status.body.data.status).toBe('ready');
+      expect(status.body.data.download.url).toContain('/api/v1/files/download?');
+
+      const download = await request(app).get(status.body.data.download.url);
+      expect(download.statusCode).toEqual(200);
+      expect(download.headers['content-type']).toContain('zip');
+
+      const tampered = await request(app).get(status.body.data.download.url.replace('signature=', 'signature=0'));
+      expect(tampered.statusCode).toEqual(403);
+      expect(tampered.body.code).toBe('DOWNLOAD_LINK_INVALID');
+    });
+
+    it('should include the images attached to the user\'s posts', async () => {
+      const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+      const post = await request(app).post('/api/v1/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .field('title', 'Holiday')
+        .field('content', 'Some pictures')
+        .attach('images', PNG, { filename: 'beach.png', contentType: 'image/png' });
+      expect(post.statusCode).toEqual(201);
+      const [imageKey] = (await Post.findById(post.body.data._id).lean()).attachments.map(image => image.url);
+
+      const res = await request(app).post('/api/v1/auth/export').set('Authorization', `Bearer ${token}`);
+      const status = await waitForExport(res.body.data.id);
+      expect(status.body.data.status).toBe('ready');
+
+      // Entry names are stored uncompressed in the ZIP headers
+      const download = await request(app).get(status.body.data.download.url)
+        .buffer(true)
+        .parse((stream, callback) => {
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+      expect(download.body.includes(`posts/${post.body.data._id}/${path.basename(imageKey)}`)).toBe(true);
+    });
+
+    it('should fail an interrupted export and let the user request a new one', async () => {
+      // An export whose build died mid-way (e.g., a crash) stays 'processing'
+      const stuck = await DataExport.create({
+        user: userId,
+        status: 'processing',
+        startedAt: new Date(Date.now() - 60 * 60 * 1000),
+      });
+
+      // A new request fails it rather than waiting for the job
+      const res = await request(app).post('/api/v1/auth/export').set('Authorization', `Bearer ${token}`);
+      expect(res.statusCode).toEqual(202);
+      await waitForExport(res.body.data.id);
+
+      const status = await request(app).get(`/api/v1/auth/export/${stuck._id}`).set('Authorization', `Bearer ${token}`);
+      expect(status.body.data.status).toBe('failed');
+
+      // So does the job, for users who don't ask again
+      const another = await DataExport.create({
+        user: userId,
+        status: 'processing',
+        startedAt: new Date(Date.now() - 60 * 60 * 1000),
+      });
+      const result = await dataExportService.runMaintenance();
+      expect(result.failed).toBe(1);
+      expect((await DataExport.findById(another._id)).status).toBe('failed');
+    });
+
+    it('should start only one export when requests arrive at the same time', async () => {
+      await DataExport.init(); // The in-progress index must exist before racing it
+
+      const results = await Promise.all([1, 2, 3].map(() => request(app)
+        .post('/api/v1/auth/export')
+        .set('Authorization', `Bearer ${token}`)));
+
+      const statuses = results.map(res => res.statusCode).sort();
+      expect(statuses).toEqual([202, 409, 409]);
+      expect(results.filter(res => res.statusCode === 409).every(res => res.body.code === 'EXPORT_IN_PROGRESS')).toBe(true);
+
+      await waitForExport(results.find(res => res.statusCode === 202).body.data.id);
+      expect(await DataExport.countDocuments({ user: userId })).toBe(1);
+    });
+
+    it('should not reveal another user\'s export', async () => {
+      const res = await request(app).post('/api/v1/auth/export').set('Authorization', `Bearer ${token}`);
+      await waitForExport(res.body.data.id);
+
+      const other = { username: 'other_user', email: 'other@test.com', password: 'Password123' };
+      await request(app).post('/api/v1/auth/register').send(other);
+      const otherLogin = await request(app).post('/api/v1/auth/token').send(other);
+
+      const status = await request(app)
+        .get(`/api/v1/auth/export/${res.body.data.id}`)
+        .set('Authorization', `Bearer ${otherLogin.body.accessToken}`);
+      expect(status.statusCode).toEqual(404);
+    });
+  });
+
+  describe('Personal access tokens', () => {
+    let sessionToken;
+
+    const createToken = async (scopes) => {
+      const res = await request(app)
+        .post('/api/v1/auth/tokens')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ name: 'CI publisher', scopes, expiresInDays: 7 });
+      return res;
+    };
+
+    beforeEach(async () => {
+      await request(app).post('/api/v1/auth/register').send(testUser);
+      const login = await request(app).post('/api/v1/auth/token')
+        .send({ email: testUser.email, password: testUser.password });
+      sessionToken = login.body.accessToken;
+    });
+
+    it('should create a token that is shown once and listed without its value', async () => {
+      const res = await createToken(['posts:write']);
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.token).toMatch(/^pat_/);
+
+      const list = await request(app).get('/api/v1/auth/tokens').set('Authorization', `Bearer ${sessionToken}`);
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0].token).toBeUndefined();
+      expect(list.body.data[0].scopes).toEqual(['posts:write']);
+    });
+
+    it('should allow routes within the token\'s scopes and refuse the others', async () => {
+      const { body } = await createToken(['posts:write']);
+      const pat = body.data.token;
+
+      const post = await request(app).post('/api/v1/posts')
+        .set('Authorization', `Bearer ${pat}`).send({ title: 'Automated', content: 'From a script' });
+      expect(post.statusCode).toEqual(201);
+
+      const like = await request(app).post('/api/v1/likes')
+        .set('Authorization', `Bearer ${pat}`).send({ resourceId: post.body.data._id, onModel: 'Post' });
+      expect(like.statusCode).toEqual(403);
+      expect(like.body.code).toBe('INSUFFICIENT_SCOPE');
+
+      // Account management always needs a real session
+      const tokens = await request(app).get('/api/v1/auth/tokens').set('Authorization', `Bearer ${pat}`);
+      expect(tokens.statusCode).toEqual(403);
+      expect(tokens.body.code).toBe('TOKEN_NOT_ALLOWED');
+    });
+
+    it('should not carry the owner\'s staff roles', async () => {
+      const member = await request(app).post('/api/v1/posts')
+        .set('Authorization', `Bearer ${sessionToken}`).send({ title: 'Member post', content: 'Written by hand' });
+      const other = { username: 'other_user', email: 'other@test.com', password: 'Password123' };
+      await request(app).post('/api/v1/auth/register').send(other);
+      await User.updateOne({ email: other.email }, { $set: { roles: ['user', 'admin'] } });
+      const otherLogin = await request(app).post('/api/v1/auth/token').send(other);
+      sessionToken = otherLogin.body.accessToken;
+
+      const { body } = await createToken(['posts:write']);
+      const remove = await request(app).delete(`/api/v1/posts/${member.body.data._id}`)
+        .set('Authorization', `Bearer ${body.data.token}`);
+      expect(remove.statusCode).toEqual(403);
+
+      // The same admin with a session still can
+      const removeWithSession = await request(app).delete(`/api/v1/posts/${member.body.data._id}`)
+        .set('Authorization', `Bearer ${sessionToken}`);
+      expect(removeWithSession.statusCode).toEqual(204);
+    });
+
+    it('should reject a revoked token', async () => {
+      const { body } = await createToken(['posts:write']);
+
+      await request(app).delete(`/api/v1/auth/tokens/${body.data.id}`).set('Authorization', `Bearer ${sessionToken}`);
+
+      const post = await request(app).post('/api/v1/posts')
+        .set('Authorization', `Bearer ${body.data.token}`).send({ title: 'Automated', content: 'From a script' });
+      expect(post.statusCode).toEqual(401);
+    });
+  });
+
+  describe('CSRF protection for cookie clients', () => {
+    let agent;
+    let csrfToken;
+
+    beforeEach(async () => {
+      agent = request.agent(app);
+      const registration = await agent.post('/api/v1/auth/register').send(testUser);
+      csrfToken = registration.body.csrfToken;
+    });
+
+    it('should issue a readable CSRF cookie matching the token in the body', async () => {
+      const login = await request(app).post('/api/v1/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+
+      const csrfCookie = login.headers['set-cookie'].find(cookie => cookie.startsWith('csrfToken='));
+      expect(csrfCookie).toContain(login.body.csrfToken);
+      expect(csrfCookie).not.toContain('HttpOnly');
+    });
+
+    it('should reject cookie-authenticated mutations without the header', async () => {
+      const res = await agent.put('/api/v1/auth/profile').send({ username: 'renamed' });
+
+      expect(res.statusCode).toEqual(403);
+      expect(res.body.code).toBe('CSRF_TOKEN_INVALID');
+    });
+
+    it('should accept them with the header, and allow safe methods without it', async () => {
+      const update = await agent.put('/api/v1/auth/profile')
+        .set('X-CSRF-Token', csrfToken).send({ username: 'renamed' });
+      expect(update.statusCode).toEqual(200);
+
+      const sessions = await agent.get('/api/v1/auth/sessions');
+      expect(sessions.statusCode).toEqual(200);
+    });
+
+    it('should reject a token issued for another session', async () => {
+      const login = () => request(app).post('/api/v1/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+      const first = await login();
+      const second = await login();
+      const accessCookie = first.headers['set-cookie'].find(cookie => cookie.startsWith('accessToken=')).split(';')[0];
+
+      // First session's cookie, second session's (otherwise valid) CSRF token
+      const res = await request(app).put('/api/v1/auth/profile')
+        .set('Cookie', `${accessCookie}; csrfToken=${second.body.csrfToken}`)
+        .set('X-CSRF-Token', second.body.csrfToken)
+        .send({ username: 'renamed' });
+
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should not apply to Bearer clients', async () => {
+      const login = await request(app).post('/api/v1/auth/token')
+        .send({ email: testUser.email, password: testUser.password });
+
+      const res = await request(app).put('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${login.body.accessToken}`)
+        .send({ username: 'renamed' });
+
+      expect(res.statusCode).toEqual(200);
+    });
+  });
+
   // Test token refreshing and logout here for a complete lifecycle...
 });
\ No newline at end of file
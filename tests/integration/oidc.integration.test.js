@@ -0,0 +1,127 @@
+// oidc.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const config = require('../../src/config/config');
+const { startMockOidcProvider } = require('../helpers/mock-oidc-provider');
+
+// Helper to read one cookie out of a Set-Cookie header list
+const getCookie = (res, name) => (res.headers['set-cookie'] || [])
+  .map(cookie => cookie.split(';')[0])
+  .find(cookie => cookie.startsWith(`${name}=`));
+
+describe('OpenID Connect login', () => {
+  const originalOidc = { ...config.oidc };
+  let provider;
+
+  // Drives the browser side of the flow: our /login -> provider /authorize -> our /callback
+  const runFlow = async ({ start = () => request(app).get('/api/v1/auth/oidc/login') } = {}) => {
+    const started = await start();
+    const authorizationUrl = started.headers.location || started.body.authorizationUrl;
+    const stateCookie = getCookie(started, 'oidcState');
+
+    const authorized = await fetch(authorizationUrl, { redirect: 'manual' });
+    const callbackUrl = new URL(authorized.headers.get('location'));
+
+    return request(app)
+      .get(`${callbackUrl.pathname}${callbackUrl.search}`)
+      .set('Cookie', stateCookie);
+  };
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider({ clientId: 'insightapi-test' });
+    Object.assign(config.oidc, {
+      issuer: provider.issuer,
+      clientId: 'insightapi-test',
+      clientSecret: 'test-secret',
+      redirectUri: 'http://localhost:5000/api/v1/auth/oidc/callback',
+    });
+  });
+
+  afterAll(async () => {
+    Object.assign(config.oidc, originalOidc);
+    await provider.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    provider.nextUser = { sub: 'external-user-1', email: 'oidc@test.com', email_verified: true, preferred_username: 'oidc_user' };
+  });
+
+  it('should redirect to the provider with a PKCE challenge', async () => {
+    const res = await request(app).get('/api/v1/auth/oidc/login');
+
+    expect(res.statusCode).toEqual(302);
+    const location = new URL(res.headers.location);
+    expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(location.searchParams.get('code_challenge')).toBeTruthy();
+    expect(getCookie(res, 'oidcState')).toBeDefined();
+  });
+
+  it('should sign up on first login and reuse the account afterwards', async () => {
+    const first = await runFlow();
+    expect(first.statusCode).toEqual(302);
+    expect(first.headers.location).toBe(`${config.clientUrl}/`);
+    expect(getCookie(first, 'accessToken')).toBeDefined();
+
+    const user = await User.findOne({ email: 'oidc@test.com' });
+    expect(user.username).toBe('oidc_user');
+    expect(user.emailVerified).toBe(true);
+    expect(user.identities[0].subject).toBe('external-user-1');
+
+    await runFlow();
+    expect(await User.countDocuments({})).toBe(1);
+  });
+
+  it('should pick another username when the preferred one is taken', async () => {
+    await request(app).post('/api/v1/auth/register')
+      .send({ username: 'oidc_user', email: 'someone@test.com', password: 'Password123' });
+
+    await runFlow();
+
+    const user = await User.findOne({ email: 'oidc@test.com' });
+    expect(user.username).toMatch(/^oidc_user_\d+$/);
+  });
+
+  it('should not attach an identity to an existing account by email', async () => {
+    await request(app).post('/api/v1/auth/register')
+      .send({ username: 'local_user', email: 'oidc@test.com', password: 'Password123' });
+
+    const res = await runFlow();
+
+    expect(res.headers.location).toBe(`${config.clientUrl}/login?error=OIDC_ACCOUNT_EXISTS`);
+  });
+
+  it('should reject a callback without the matching state cookie', async () => {
+    const started = await request(app).get('/api/v1/auth/oidc/login');
+    const authorized = await fetch(started.headers.location, { redirect: 'manual' });
+    const callbackUrl = new URL(authorized.headers.get('location'));
+
+    const res = await request(app).get(`${callbackUrl.pathname}${callbackUrl.search}`);
+
+    expect(res.headers.location).toBe(`${config.clientUrl}/login?error=OIDC_STATE_INVALID`);
+  });
+
+  it('should link and unlink an identity from an authenticated session', async () => {
+    await request(app).post('/api/v1/auth/register')
+      .send({ username: 'local_user', email: 'local@test.com', password: 'Password123' });
+    const login = await request(app).post('/api/v1/auth/token')
+      .send({ email: 'local@test.com', password: 'Password123' });
+    const auth = `Bearer ${login.body.accessToken}`;
+
+    const linked = await runFlow({ start: () => request(app).post('/api/v1/auth/oidc/link').set('Authorization', auth) });
+    expect(linked.headers.location).toBe(`${config.clientUrl}/settings/security?linked=1`);
+
+    const identities = await request(app).get('/api/v1/auth/oidc/identities').set('Authorization', auth);
+    expect(identities.body.data).toHaveLength(1);
+
+    // The linked identity now logs in as the local user
+    await runFlow();
+    expect(await User.countDocuments({})).toBe(1);
+
+    const unlinked = await request(app).delete('/api/v1/auth/oidc/link').set('Authorization', auth);
+    expect(unlinked.statusCode).toEqual(204);
+    expect((await User.findOne({ email: 'local@test.com' })).identities).toHaveLength(0);
+  });
+});
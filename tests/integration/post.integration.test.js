@@ -1,8 +1,609 @@
+const fs = require('fs');
+const path = require('path');
 const request = require('supertest');
 const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const PostRevision = require('../../src/models/PostRevision');
+const postService = require('../../src/services/post.service');
+const trashService = require('../../src/services/trash.service');
+const config = require('../../src/config/config');
+const { createUserWithToken } = require('../helpers/users');
 
 describe('Post Integration Tests', () => {
   it('should be true', () => {
     expect(true).toBe(true);
   });
+
+  describe('GET /api/v1/posts pagination', () => {
+    let postIds;
+    let authorToken;
+
+    beforeEach(async () => {
+      authorToken = (await createUserWithToken('author')).token;
+      postIds = [];
+      for (let i = 0; i < 5; i++) {
+        const res = await request(app)
+          .post('/api/v1/posts')
+          .set('Authorization', `Bearer ${authorToken}`)
+          .send({ title: `Post ${i}`, content: 'Content' });
+        postIds.unshift(res.body.data._id); // Newest first
+      }
+    });
+
+    it('should walk the feed with cursors without gaps or duplicates', async () => {
+      const first = await request(app).get('/api/v1/posts?limit=2&cursor=');
+      expect(first.statusCode).toEqual(200);
+      expect(first.body.hasNextPage).toBe(true);
+      expect(first.body.totalResults).toBeUndefined();
+
+      // A post created mid-pagination must not shift the following pages
+      const { token } = await createUserWithToken('latecomer');
+      await request(app).post('/api/v1/posts').set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Late', content: 'Content' });
+
+      const seen = first.body.data.map(post => post._id);
+      let cursor = first.body.nextCursor;
+      while (cursor) {
+        const page = await request(app).get(`/api/v1/posts?limit=2&cursor=${cursor}`);
+        seen.push(...page.body.data.map(post => post._id));
+        cursor = page.body.nextCursor;
+      }
+
+      expect(seen).toEqual(postIds);
+    });
+
+    it('should break ties on identical timestamps by id', async () => {
+      await Post.updateMany({}, { $set: { createdAt: new Date('2024-01-01T00:00:00Z') } }, { timestamps: false });
+
+      const first = await request(app).get('/api/v1/posts?limit=3&cursor=');
+      const second = await request(app).get(`/api/v1/posts?limit=3&cursor=${first.body.nextCursor}`);
+
+      const ids = [...first.body.data, ...second.body.data].map(post => post._id);
+      expect(new Set(ids).size).toBe(5);
+      expect(second.body.hasNextPage).toBe(false);
+    });
+
+    it('should return a total of the readable posts only when asked', async () => {
+      // Neither a draft nor a trashed post counts
+      const { token } = await createUserWithToken('counter');
+      await request(app).post('/api/v1/posts').set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Draft', content: 'Content', status: 'draft' });
+      await request(app).delete(`/api/v1/posts/${postIds[0]}`).set('Authorization', `Bearer ${authorToken}`);
+
+      const res = await request(app).get('/api/v1/posts?cursor=&includeTotal=true');
+
+      expect(res.body.totalResults).toBe(4);
+      expect(res.body.totalIsEstimate).toBe(false);
+    });
+
+    it('should default to the page-based shape when no cursor is sent', async () => {
+      const res = await request(app).get('/api/v1/posts?limit=2');
+
+      expect(res.body.page).toBe(1);
+      expect(res.body.totalPages).toBe(3);
+      expect(res.body.nextCursor).toBeUndefined();
+      expect(res.body.data.map(post => post._id)).toEqual(postIds.slice(0, 2));
+    });
+
+    it('should keep page-based pagination for older clients', async () => {
+      const res = await request(app).get('/api/v1/posts?page=2&limit=2');
+
+      expect(res.body.page).toBe(2);
+      expect(res.body.totalPages).toBe(3);
+      expect(res.body.data.map(post => post._id)).toEqual(postIds.slice(2, 4));
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const res = await request(app).get('/api/v1/posts?cursor=not-a-cursor');
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.code).toBe('INVALID_CURSOR');
+    });
+  });
+
+  describe('Hashtags', () => {
+    let token;
+
+    beforeEach(async () => {
+      token = (await createUserWithToken('tagger')).token;
+    });
+
+    const createPost = async (content) => {
+      const res = await request(app).post('/api/v1/posts').set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Tagged', content });
+      return res.body.data;
+    };
+
+    it('should extract normalized tags and keep them in sync with edits and deletes', async () => {
+      const post = await createPost('Learning #NodeJS and #nodejs with #Mongo_DB, not #2024 or x.com/#anchor');
+      expect(post.tags).toEqual(['nodejs', 'mongo_db']);
+      await createPost('More #nodejs');
+
+      let usage = await request(app).get('/api/v1/tags/NodeJS');
+      expect(usage.body.data).toEqual({ tag: 'nodejs', postCount: 2 });
+
+      const edited = await request(app).put(`/api/v1/posts/${post._id}`).set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Now about #express' });
+      expect(edited.body.data.tags).toEqual(['express']);
+
+      usage = await request(app).get('/api/v1/tags/nodejs');
+      expect(usage.body.data.postCount).toBe(1);
+
+      await request(app).delete(`/api/v1/posts/${post._id}`).set('Authorization', `Bearer ${token}`);
+      usage = await request(app).get('/api/v1/tags/express');
+      expect(usage.body.data.postCount).toBe(0);
+    });
+
+    it('should list a tag feed with cursor pagination', async () => {
+      const older = await createPost('#javascript first');
+      await createPost('No tags here');
+      const newer = await createPost('#JavaScript second');
+
+      const first = await request(app).get('/api/v1/tags/%23javascript/posts?limit=1');
+      expect(first.statusCode).toEqual(200);
+      expect(first.body.tag).toBe('javascript');
+      expect(first.body.data.map(post => post._id)).toEqual([newer._id]);
+
+      const second = await request(app).get(`/api/v1/tags/javascript/posts?limit=1&cursor=${first.body.nextCursor}`);
+      expect(second.body.data.map(post => post._id)).toEqual([older._id]);
+      expect(second.body.hasNextPage).toBe(false);
+    });
+
+    it('should reject invalid tags', async () => {
+      const res = await request(app).get('/api/v1/tags/123/posts');
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.code).toBe('INPUT_VALIDATION_FAILED');
+    });
+  });
+
+  describe('Drafts and scheduled posts', () => {
+    let token;
+    let otherToken;
+
+    beforeEach(async () => {
+      token = (await createUserWithToken('writer')).token;
+      otherToken = (await createUserWithToken('reader')).token;
+    });
+
+    const createPost = async (body) => {
+      const res = await request(app).post('/api/v1/posts').set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Post', content: 'Content', ...body });
+      return res.body.data;
+    };
+
+    it('should hide drafts from everyone but the author', async () => {
+      const draft = await createPost({ status: 'draft' });
+      expect(draft.status).toBe('draft');
+      expect(draft.publishAt).toBeNull();
+
+      const feed = await request(app).get('/api/v1/posts');
+      expect(feed.body.data).toEqual([]);
+
+      const anonymous = await request(app).get(`/api/v1/posts/${draft._id}`);
+      expect(anonymous.statusCode).toEqual(404);
+      const other = await request(app).get(`/api/v1/posts/${draft._id}`).set('Authorization', `Bearer ${otherToken}`);
+      expect(other.statusCode).toEqual(404);
+      const own = await request(app).get(`/api/v1/posts/${draft._id}`).set('Authorization', `Bearer ${token}`);
+      expect(own.statusCode).toEqual(200);
+
+      const drafts = await request(app).get('/api/v1/posts/drafts').set('Authorization', `Bearer ${token}`);
+      expect(drafts.body.data.map(post => post._id)).toEqual([draft._id]);
+      const othersDrafts = await request(app).get('/api/v1/posts/drafts').set('Authorization', `Bearer ${otherToken}`);
+      expect(othersDrafts.body.data).toEqual([]);
+    });
+
+    it('should publish a draft at the top of the feed', async () => {
+      const draft = await createPost({ status: 'draft' });
+      const published = await createPost({ title: 'Published later' });
+
+      const res = await request(app).put(`/api/v1/posts/${draft._id}`).set('Authorization', `Bearer ${token}`)
+        .send({ status: 'published' });
+      expect(res.body.data.status).toBe('published');
+
+      const feed = await request(app).get('/api/v1/posts');
+      expect(feed.body.data.map(post => post._id)).toEqual([draft._id, published._id]);
+
+      const unpublish = await request(app).put(`/api/v1/posts/${draft._id}`).set('Authorization', `Bearer ${token}`)
+        .send({ status: 'draft' });
+      expect(unpublish.statusCode).toEqual(400);
+      expect(unpublish.body.code).toBe('POST_ALREADY_PUBLISHED');
+    });
+
+    it('should publish scheduled posts once they are due', async () => {
+      const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const scheduled = await createPost({ status: 'scheduled', publishAt });
+      expect(scheduled.status).toBe('scheduled');
+
+      expect(await postService.publishDuePosts()).toEqual({ published: 0 });
+
+      await Post.updateOne({ _id: scheduled._id }, { $set: { publishAt: new Date(Date.now() - 1000) } });
+      expect(await postService.publishDuePosts()).toEqual({ published: 1 });
+
+      const res = await request(app).get(`/api/v1/posts/${scheduled._id}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.status).toBe('published');
+    });
+
+    it('should require a future publishAt when scheduling', async () => {
+      const res = await request(app).post('/api/v1/posts').set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Post', content: 'Content', status: 'scheduled', publishAt: '2000-01-01T00:00:00Z' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.code).toBe('INPUT_VALIDATION_FAILED');
+    });
+  });
+
+  describe('Revision history', () => {
+    let token;
+    let post;
+
+    beforeEach(async () => {
+      token = (await createUserWithToken('editor')).token;
+      const res = await request(app).post('/api/v1/posts').set('Authorization', `Bearer ${token}`)
+        .send({ title: 'First title', content: 'The quick brown fox' });
+      post = res.body.data;
+    });
+
+    const edit = body => request(app).put(`/api/v1/posts/${post._id}`).set('Authorization', `Bearer ${token}`).send(body);
+
+    it('should record every edit with its editor and mark the post as edited', async () => {
+      expect(post.edited).toBe(false);
+
+      const res = await edit({ content: 'The slow brown fox' });
+      expect(res.body.data.edited).toBe(true);
+      expect(res.body.data.editedAt).toBeTruthy();
+
+      const history = await request(app).get(`/api/v1/posts/${post._id}/revisions`);
+      expect(history.statusCode).toEqual(200);
+      expect(history.body.data.map(rev => rev.revision)).toEqual([2, 1]);
+      expect(history.body.data[0].editor.username).toBe('editor');
+      expect(history.body.data[1].content).toBe('The quick brown fox');
+    });
+
+    it('should keep revisions saved before publication from other readers', async () => {
+      const draft = (await request(app).post('/api/v1/posts').set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Draft', content: 'A secret first thought', status: 'draft' })).body.data;
+      const editDraft = body => request(app).put(`/api/v1/posts/${draft._id}`).set('Authorization', `Bearer ${token}`).send(body);
+      await editDraft({ content: 'Second thoughts' });
+      await editDraft({ content: 'Ready to go', status: 'published' });
+      await editDraft({ content: 'Ready to go, fixed' });
+
+      const { token: readerToken } = await createUserWithToken('reader');
+      const asReader = await request(app).get(`/api/v1/posts/${draft._id}/revisions`).set('Authorization', `Bearer ${readerToken}`);
+      expect(asReader.body.data.map(rev => rev.revision)).toEqual([4, 3]);
+      const diff = await request(app).get(`/api/v1/posts/${draft._id}/revisions/diff?from=1&to=4`)
+        .set('Authorization', `Bearer ${readerToken}`);
+      expect(diff.statusCode).toEqual(404);
+      expect(diff.body.code).toBe('REVISION_NOT_FOUND');
+
+      const asAuthor = await request(app).get(`/api/v1/posts/${draft._id}/revisions`).set('Authorization', `Bearer ${token}`);
+      expect(asAuthor.body.data.map(rev => rev.revision)).toEqual([4, 3, 2, 1]);
+    });
+
+    it('should diff two revisions word by word', async () => {
+      await edit({ title: 'Second title', content: 'The slow brown fox' });
+
+      const res = await request(app).get(`/api/v1/posts/${post._id}/revisions/diff?from=1&to=2`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.content).toEqual([
+        { op: 'equal', text: 'The ' },
+        { op: 'delete', text: 'quick' },
+        { op: 'insert', text: 'slow' },
+        { op: 'equal', text: ' brown fox' },
+      ]);
+      expect(res.body.data.title[0]).toEqual({ op: 'delete', text: 'First' });
+    });
+
+    it('should let the author restore an earlier revision as a new one', async () => {
+      await edit({ content: 'Vandalized' });
+
+      const other = (await createUserWithToken('stranger')).token;
+      const denied = await request(app).post(`/api/v1/posts/${post._id}/revisions/1/restore`)
+        .set('Authorization', `Bearer ${other}`);
+      expect(denied.statusCode).toEqual(403);
+
+      const res = await request(app).post(`/api/v1/posts/${post._id}/revisions/1/restore`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.content).toBe('The quick brown fox');
+
+      const history = await request(app).get(`/api/v1/posts/${post._id}/revisions`);
+      expect(history.body.data[0]).toMatchObject({ revision: 3, restoredFrom: 1 });
+    });
+
+    it('should start the history of older posts from their pre-edit state', async () => {
+      await Post.updateOne({ _id: post._id }, { $unset: { revisionCount: 1 } });
+      await PostRevision.deleteMany({});
+
+      await edit({ content: 'Edited' });
+
+      const history = await request(app).get(`/api/v1/posts/${post._id}/revisions`);
+      expect(history.body.data.map(rev => [rev.revision, rev.content])).toEqual([[2, 'Edited'], [1, 'The quick brown fox']]);
+    });
+  });
+
+  describe('Image attachments', () => {
+    const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+    const GIF = Buffer.from('GIF89a\0\0\0\0\0\0', 'latin1');
+    // Storage keys as saved on the post (responses only carry signed links)
+    const storedKeys = async postId => (await Post.findById(postId).setOptions({ withDeleted: true }).lean())
+      .attachments.map(image => image.url);
+    const storedFileExists = key => fs.existsSync(path.join(__dirname, '..', '..', 'src', key));
+    let token;
+
+    beforeEach(async () => {
+      token = (await createUserWithToken('photographer')).token;
+    });
+
+    const createWithImages = () => request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .field('title', 'Holiday')
+      .field('content', 'Some pictures')
+      .field('alt[0]', 'A beach')
+      .field('alt[1]', 'A sunset')
+      .attach('images', PNG, { filename: 'beach.png', contentType: 'image/png' })
+      .attach('images', GIF, { filename: 'sunset.gif', contentType: 'image/gif' });
+
+    it('should store images privately with their alt text in upload order', async () => {
+      const res = await createWithImages();
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.attachments.map(image => [image.alt, image.mimeType])).toEqual([
+        ['A beach', 'image/png'],
+        ['A sunset', 'image/gif'],
+      ]);
+      const keys = await storedKeys(res.body.data._id);
+      expect(keys.every(key => key.startsWith('/private/posts/') && storedFileExists(key))).toBe(true);
+
+      // Readers get signed links instead of the storage keys
+      const image = await request(app).get(res.body.data.attachments[0].url);
+      expect(image.statusCode).toEqual(200);
+      expect(image.body).toEqual(PNG);
+    });
+
+    it('should only hand out image links to users who may read the post', async () => {
+      const post = (await createWithImages().field('visibility', 'private')).body.data;
+
+      const anonymous = await request(app).get(`/api/v1/posts/${post._id}`);
+      expect(anonymous.statusCode).toEqual(404);
+
+      const [key] = await storedKeys(post._id);
+      const direct = await request(app).get(key);
+      expect(direct.statusCode).toEqual(404);
+    });
+
+    it('should accept the longest valid content alongside images, whatever its encoding', async () => {
+      const content = '🙂'.repeat(5000); // 10000 UTF-16 code units, 20000 bytes in UTF-8
+
+      const res = await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .field('title', 'Holiday')
+        .field('content', content)
+        .attach('images', PNG, { filename: 'beach.png', contentType: 'image/png' });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.data.content).toBe(content);
+    });
+
+    it('should reject files that are not the image they claim to be', async () => {
+      const res = await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .field('title', 'Holiday')
+        .field('content', 'Some pictures')
+        .attach('images', Buffer.from('<svg></svg>'), { filename: 'fake.png', contentType: 'image/png' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.code).toBe('INVALID_FILE_TYPE');
+      expect(await Post.countDocuments()).toBe(0);
+    });
+
+    it('should reorder, relabel and remove attachments, deleting removed files', async () => {
+      const { attachments: [, sunset], _id: postId } = (await createWithImages()).body.data;
+      const [beachKey, sunsetKey] = await storedKeys(postId);
+
+      const res = await request(app)
+        .put(`/api/v1/posts/${postId}/attachments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ attachments: [{ id: sunset._id, alt: 'Sunset over the bay' }] });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.attachments.map(image => [image._id, image.alt])).toEqual([[sunset._id, 'Sunset over the bay']]);
+      expect(storedFileExists(beachKey)).toBe(false);
+
+      const removed = await request(app)
+        .delete(`/api/v1/posts/${postId}/attachments/${sunset._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(removed.statusCode).toEqual(204);
+      expect(storedFileExists(sunsetKey)).toBe(false);
+    });
+
+    it('should enforce the per-post image limit when adding images', async () => {
+      const { _id: postId } = (await createWithImages()).body.data;
+
+      let upload = request(app).post(`/api/v1/posts/${postId}/attachments`).set('Authorization', `Bearer ${token}`);
+      for (let i = 0; i < config.content.maxPostImages - 1; i++) {
+        upload = upload.attach('images', PNG, { filename: `extra-${i}.png`, contentType: 'image/png' });
+      }
+      const res = await upload;
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.code).toBe('TOO_MANY_ATTACHMENTS');
+      expect((await Post.findById(postId)).attachments).toHaveLength(2);
+    });
+
+    it('should delete the files when the post is purged from the trash', async () => {
+      const { _id: postId } = (await createWithImages()).body.data;
+      const keys = await storedKeys(postId);
+      await request(app).delete(`/api/v1/posts/${postId}`).set('Authorization', `Bearer ${token}`);
+
+      // Still restorable, so the files stay
+      expect(keys.every(storedFileExists)).toBe(true);
+
+      const expired = new Date(Date.now() - (config.content.trashRetentionDays + 1) * 24 * 60 * 60 * 1000);
+      await Post.updateOne({ _id: postId }, { $set: { deletedAt: expired } }, { withDeleted: true });
+      await trashService.purgeExpiredTrash();
+
+      expect(keys.some(storedFileExists)).toBe(false);
+    });
+  });
+
+  describe('Markdown content', () => {
+    let token;
+
+    beforeEach(async () => {
+      token = (await createUserWithToken('writer')).token;
+    });
+
+    it('should return the Markdown source with its sanitized HTML, re-rendered on edit', async () => {
+      const created = await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Formatting', content: '**Bold** <img src=x onerror=alert(1)>' });
+
+      expect(created.body.data.content).toBe('**Bold** <img src=x onerror=alert(1)>');
+      expect(created.body.data.contentHtml).toBe('<p><strong>Bold</strong> &lt;img src=x onerror=alert(1)&gt;</p>\n');
+
+      const edited = await request(app)
+        .put(`/api/v1/posts/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: '[Docs](https://example.com)' });
+      expect(edited.body.data.contentHtml)
+        .toBe('<p><a href="https://example.com" rel="nofollow noopener noreferrer">Docs</a></p>\n');
+    });
+
+    it('should render the HTML of posts written before Markdown support', async () => {
+      const created = await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Old post', content: '*Old*' });
+      await Post.updateOne({ _id: created.body.data._id }, { $unset: { contentHtml: 1 } });
+
+      expect(await postService.backfillContentHtml()).toEqual({ posts: 1, comments: 0 });
+      expect((await Post.findById(created.body.data._id)).contentHtml).toBe('<p><em>Old</em></p>\n');
+      expect(await postService.backfillContentHtml()).toEqual({ posts: 0, comments: 0 });
+    });
+  });
+
+  describe('Visibility', () => {
+    let authorToken;
+    let readerToken;
+
+    beforeEach(async () => {
+      authorToken = (await createUserWithToken('owner')).token;
+      readerToken = (await createUserWithToken('reader')).token;
+    });
+
+    const createPost = async (visibility) => (await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ title: `A ${visibility} post`, content: 'Content', visibility })).body.data;
+
+    // GET as the given user (anonymous without a token)
+    const get = (url, token) => {
+      const req = request(app).get(url);
+      return token ? req.set('Authorization', `Bearer ${token}`) : req;
+    };
+
+    const feedIds = async token => (await get('/api/v1/posts', token)).body.data.map(post => post._id);
+
+    it('should show private posts, their comments and likes to the author only', async () => {
+      const post = await createPost('private');
+      await request(app).post(`/api/v1/comments/post/${post._id}`)
+        .set('Authorization', `Bearer ${authorToken}`).send({ content: 'Note to self' });
+
+      expect((await get(`/api/v1/posts/${post._id}`)).statusCode).toEqual(404);
+      expect((await get(`/api/v1/posts/${post._id}`, readerToken)).statusCode).toEqual(404);
+      expect((await get(`/api/v1/posts/${post._id}`, authorToken)).statusCode).toEqual(200);
+
+      expect(await feedIds()).toEqual([]);
+      expect(await feedIds(readerToken)).toEqual([]);
+      expect(await feedIds(authorToken)).toEqual([post._id]);
+
+      expect((await get(`/api/v1/comments/post/${post._id}`)).statusCode).toEqual(404);
+      expect((await get(`/api/v1/comments/post/${post._id}`, authorToken)).body.data).toHaveLength(1);
+
+      const comment = await request(app).post(`/api/v1/comments/post/${post._id}`)
+        .set('Authorization', `Bearer ${readerToken}`).send({ content: 'Sneaky' });
+      expect(comment.statusCode).toEqual(404);
+
+      const like = await request(app).post('/api/v1/likes')
+        .set('Authorization', `Bearer ${readerToken}`).send({ resourceId: post._id, onModel: 'Post' });
+      expect(like.statusCode).toEqual(404);
+    });
+
+    it('should show followers-only posts to followers the author accepted', async () => {
+      const post = await createPost('followers');
+
+      expect(await feedIds(readerToken)).toEqual([]);
+
+      const follow = await request(app).put(`/api/v1/follows/${post.author.id}`).set('Authorization', `Bearer ${readerToken}`);
+      expect(follow.statusCode).toEqual(200);
+      expect(follow.body.data.status).toBe('pending');
+      expect(await feedIds(readerToken)).toEqual([]);
+
+      const requests = await get('/api/v1/follows/requests', authorToken);
+      expect(requests.body.data.map(({ user }) => user.username)).toEqual(['reader']);
+      const readerId = requests.body.data[0].user._id;
+
+      const accept = await request(app).put(`/api/v1/follows/followers/${readerId}`).set('Authorization', `Bearer ${authorToken}`);
+      expect(accept.statusCode).toEqual(200);
+
+      expect(await feedIds(readerToken)).toEqual([post._id]);
+      expect(await feedIds()).toEqual([]);
+      expect((await get(`/api/v1/posts/${post._id}`, readerToken)).statusCode).toEqual(200);
+
+      // The author can take it back at any time
+      await request(app).delete(`/api/v1/follows/followers/${readerId}`).set('Authorization', `Bearer ${authorToken}`);
+      expect((await get(`/api/v1/posts/${post._id}`, readerToken)).statusCode).toEqual(404);
+    });
+
+    it('should only accept pending follow requests', async () => {
+      const { userId } = await createUserWithToken('stranger');
+
+      const res = await request(app).put(`/api/v1/follows/followers/${userId}`).set('Authorization', `Bearer ${authorToken}`);
+      expect(res.statusCode).toEqual(404);
+      expect(res.body.code).toBe('FOLLOW_REQUEST_NOT_FOUND');
+    });
+
+    it('should apply a visibility change to the post and its comments', async () => {
+      const post = await createPost('public');
+      const comment = (await request(app).post(`/api/v1/comments/post/${post._id}`)
+        .set('Authorization', `Bearer ${readerToken}`).send({ content: 'Nice' })).body.data;
+
+      const res = await request(app).put(`/api/v1/posts/${post._id}`)
+        .set('Authorization', `Bearer ${authorToken}`).send({ visibility: 'private' });
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.visibility).toBe('private');
+      expect(res.body.data.revisionCount).toBe(1); // Not an edit of the text
+
+      expect(await feedIds()).toEqual([]);
+      expect((await get(`/api/v1/comments/post/${post._id}`, readerToken)).statusCode).toEqual(404);
+
+      const like = await request(app).post('/api/v1/likes')
+        .set('Authorization', `Bearer ${readerToken}`).send({ resourceId: comment._id, onModel: 'Comment' });
+      expect(like.statusCode).toEqual(404);
+    });
+
+    it('should let moderators delete posts they could not read', async () => {
+      const moderatorToken = (await createUserWithToken('moderator', ['user', 'moderator'])).token;
+      const privatePost = await createPost('private');
+      const draft = (await request(app).post('/api/v1/posts').set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'Draft', content: 'Content', status: 'draft' })).body.data;
+
+      for (const post of [privatePost, draft]) {
+        // Other users still can't tell the post exists
+        const denied = await request(app).delete(`/api/v1/posts/${post._id}`).set('Authorization', `Bearer ${readerToken}`);
+        expect(denied.statusCode).toEqual(404);
+
+        const res = await request(app).delete(`/api/v1/posts/${post._id}`).set('Authorization', `Bearer ${moderatorToken}`);
+        expect(res.statusCode).toEqual(204);
+      }
+      expect(await Post.countDocuments({})).toBe(0);
+    });
+  });
 });
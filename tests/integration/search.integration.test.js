@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const { createUserWithToken } = require('../helpers/users');
+
+const createPost = async (token, body) => {
+  const res = await request(app).post('/api/v1/posts').set('Authorization', `Bearer ${token}`).send(body);
+  return res.body.data;
+};
+
+describe('Search Integration Tests', () => {
+  let alice;
+  let bob;
+  let titleMatch;
+  let bodyMatch;
+
+  beforeAll(async () => {
+    // Text indexes must exist before $text queries can run
+    await Promise.all([Post.init(), Comment.init()]);
+  });
+
+  beforeEach(async () => {
+    alice = await createUserWithToken('alice');
+    bob = await createUserWithToken('bob');
+
+    titleMatch = await createPost(alice.token, { title: 'Gardening tips', content: 'Water in the morning.' });
+    bodyMatch = await createPost(bob.token, { title: 'Weekend', content: 'Spent the weekend gardening with <friends>.' });
+    await createPost(bob.token, { title: 'Cooking', content: 'Nothing to see here.' });
+
+    await request(app)
+      .post(`/api/v1/comments/post/${titleMatch._id}`)
+      .set('Authorization', `Bearer ${bob.token}`)
+      .send({ content: 'Great gardening advice!' });
+  });
+
+  it('should rank posts and comments by relevance with highlighted snippets', async () => {
+    const res = await request(app).get('/api/v1/search?q=gardening');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.totalResults).toBe(3);
+    expect(res.body.data.map(hit => hit.type).sort()).toEqual(['comment', 'post', 'post']);
+
+    // Title matches outweigh body matches
+    expect(res.body.data[0]._id).toBe(titleMatch._id);
+    expect(res.body.data[0].highlights.title).toBe('<mark>Gardening</mark> tips');
+    expect(res.body.data[0].author).toEqual({ id: alice.userId, username: 'alice' });
+
+    const body = res.body.data.find(hit => hit._id === bodyMatch._id);
+    expect(body.highlights.content).toBe('Spent the weekend <mark>gardening</mark> with &lt;friends&gt;.');
+    expect(body.content).toBeUndefined();
+
+    const comment = res.body.data.find(hit => hit.type === 'comment');
+    expect(comment.postId).toBe(titleMatch._id);
+  });
+
+  it('should filter by type, author and date range', async () => {
+    const posts = await request(app).get('/api/v1/search?q=gardening&type=posts');
+    expect(posts.body.totalResults).toBe(2);
+
+    const byBob = await request(app).get(`/api/v1/search?q=gardening&authorId=${bob.userId}`);
+    expect(byBob.body.data.map(hit => hit.type).sort()).toEqual(['comment', 'post']);
+
+    const future = await request(app).get('/api/v1/search?q=gardening&from=2999-01-01');
+    expect(future.body.totalResults).toBe(0);
+    expect(future.body.data).toEqual([]);
+  });
+
+  it('should paginate merged results', async () => {
+    const first = await request(app).get('/api/v1/search?q=gardening&limit=2');
+    const second = await request(app).get('/api/v1/search?q=gardening&limit=2&page=2');
+
+    expect(first.body.hasNextPage).toBe(true);
+    expect(second.body.hasNextPage).toBe(false);
+    const ids = [...first.body.data, ...second.body.data].map(hit => hit._id);
+    expect(new Set(ids).size).toBe(3);
+  });
+
+  it('should only find posts and comments the reader may see', async () => {
+    await request(app)
+      .put(`/api/v1/posts/${titleMatch._id}`)
+      .set('Authorization', `Bearer ${alice.token}`)
+      .send({ visibility: 'private' });
+
+    const anonymous = await request(app).get('/api/v1/search?q=gardening');
+    expect(anonymous.body.data.map(hit => hit._id)).toEqual([bodyMatch._id]);
+
+    const asAuthor = await request(app).get('/api/v1/search?q=gardening').set('Authorization', `Bearer ${alice.token}`);
+    expect(asAuthor.body.totalResults).toBe(3);
+  });
+
+  it('should validate the query', async () => {
+    const missing = await request(app).get('/api/v1/search');
+    expect(missing.statusCode).toEqual(400);
+
+    const reversed = await request(app).get('/api/v1/search?q=x&from=2024-02-01&to=2024-01-01');
+    expect(reversed.statusCode).toEqual(400);
+
+    const tooDeep = await request(app).get('/api/v1/search?q=gardening&page=100&limit=50');
+    expect(tooDeep.statusCode).toEqual(400);
+    expect(tooDeep.body.code).toBe('SEARCH_TOO_DEEP');
+  });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const trashService = require('../../src/services/trash.service');
+const config = require('../../src/config/config');
+const { createUserWithToken } = require('../helpers/users');
+
+describe('Trash Integration Tests', () => {
+  let authorToken;
+  let postId;
+  let commentId;
+
+  beforeEach(async () => {
+    authorToken = (await createUserWithToken('author')).token;
+    const post = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ title: 'A post', content: 'Some content' });
+    postId = post.body.data._id;
+
+    const comment = await request(app)
+      .post(`/api/v1/comments/post/${postId}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'A comment' });
+    commentId = comment.body.data._id;
+  });
+
+  const listTrash = (type = 'posts') => request(app)
+    .get(`/api/v1/trash?type=${type}`)
+    .set('Authorization', `Bearer ${authorToken}`);
+
+  it('should move a deleted post and its comments to the trash and restore them together', async () => {
+    await request(app).delete(`/api/v1/posts/${postId}`).set('Authorization', `Bearer ${authorToken}`);
+
+    expect((await request(app).get(`/api/v1/posts/${postId}`)).statusCode).toEqual(404);
+    expect((await request(app).get('/api/v1/posts')).body.data).toEqual([]);
+    expect((await request(app).get(`/api/v1/comments/post/${postId}`)).body.data).toEqual([]);
+
+    const trash = await listTrash();
+    expect(trash.body.data.map(post => post._id)).toEqual([postId]);
+    expect(trash.body.data[0].purgeAt).toBeTruthy();
+    // Comments deleted with their post are restored through the post
+    expect((await listTrash('comments')).body.data).toEqual([]);
+
+    const restored = await request(app)
+      .post(`/api/v1/trash/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect(restored.statusCode).toEqual(200);
+
+    const post = await request(app).get(`/api/v1/posts/${postId}`);
+    expect(post.body.data.commentCount).toBe(1);
+    expect((await request(app).get(`/api/v1/comments/post/${postId}`)).body.data).toHaveLength(1);
+  });
+
+  it('should keep the comment count in step with deleting and restoring a comment', async () => {
+    await request(app).delete(`/api/v1/comments/${commentId}`).set('Authorization', `Bearer ${authorToken}`);
+    expect((await request(app).get(`/api/v1/posts/${postId}`)).body.data.commentCount).toBe(0);
+    expect((await listTrash('comments')).body.data.map(comment => comment._id)).toEqual([commentId]);
+
+    await request(app)
+      .post(`/api/v1/trash/comments/${commentId}/restore`)
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect((await request(app).get(`/api/v1/posts/${postId}`)).body.data.commentCount).toBe(1);
+  });
+
+  it('should not let authors restore content removed by a moderator', async () => {
+    const modToken = (await createUserWithToken('moderator', ['user', 'moderator'])).token;
+    await request(app).delete(`/api/v1/posts/${postId}`).set('Authorization', `Bearer ${modToken}`);
+
+    expect((await listTrash()).body.data).toEqual([]);
+
+    const res = await request(app)
+      .post(`/api/v1/trash/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect(res.statusCode).toEqual(403);
+
+    const byModerator = await request(app)
+      .post(`/api/v1/trash/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${modToken}`);
+    expect(byModerator.statusCode).toEqual(200);
+  });
+
+  it('should purge trash older than the retention period', async () => {
+    await request(app).delete(`/api/v1/posts/${postId}`).set('Authorization', `Bearer ${authorToken}`);
+    expect(await trashService.purgeExpiredTrash()).toEqual({ posts: 0, comments: 0 });
+
+    const expired = new Date(Date.now() - (config.content.trashRetentionDays + 1) * 24 * 60 * 60 * 1000);
+    await Post.updateOne({ _id: postId }, { $set: { deletedAt: expired } }, { withDeleted: true });
+
+    expect(await trashService.purgeExpiredTrash()).toEqual({ posts: 1, comments: 0 });
+    expect(await Post.countDocuments({ deletedAt: { $ne: null } })).toBe(0);
+    expect(await Comment.find({}).setOptions({ withDeleted: true })).toEqual([]);
+  });
+});
@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server'); 
+const { resetRateLimits } = require('../src/middleware/rate-limiter');
 
 let mongod;
 
@@ -12,6 +13,9 @@ beforeAll(async () => {
 });
 
 beforeEach(async () => {
+  // Every test request comes from the same IP: give each test a fresh rate-limit window
+  resetRateLimits();
+
   // Clear all collections to ensure tests are isolated
   const collections = mongoose.connection.collections;
 
@@ -0,0 +1,53 @@
+// login-throttle.test.js
+// The per-account login throttle keeps a bounded number of keys in memory, without losing lockouts.
+
+const loginThrottle = require('../../src/services/login-throttle.service');
+const config = require('../../src/config/config');
+
+describe('Login throttle store', () => {
+  beforeEach(() => {
+    loginThrottle.resetAll();
+  });
+
+  it('should evict the least recently failed keys once full', () => {
+    const total = loginThrottle.MAX_STORE_ENTRIES + 10;
+    for (let i = 0; i < total; i++) {
+      loginThrottle.recordFailure(loginThrottle.keyForEmail(`user${i}@test.com`));
+    }
+
+    expect(loginThrottle.size()).toBeLessThanOrEqual(loginThrottle.MAX_STORE_ENTRIES);
+    expect(() => loginThrottle.assertNotLocked(loginThrottle.keyForEmail(`user${total - 1}@test.com`))).not.toThrow();
+  });
+
+  it('should never evict a locked key, however many unknown emails fail', () => {
+    const { freeAttempts } = config.auth.loginThrottle;
+    const target = loginThrottle.keyForEmail('victim@test.com');
+    for (let i = 0; i < freeAttempts; i++) {
+      loginThrottle.recordFailure(target);
+    }
+
+    // The locked key is now the oldest entry: the first to go if eviction ignored locks
+    for (let i = 0; i < loginThrottle.MAX_STORE_ENTRIES * 3; i++) {
+      loginThrottle.recordFailure(loginThrottle.keyForEmail(`made-up-${i}@test.com`));
+    }
+
+    expect(loginThrottle.size()).toBeLessThanOrEqual(loginThrottle.MAX_STORE_ENTRIES);
+    expect(() => loginThrottle.assertNotLocked(target)).toThrow('Too many failed login attempts');
+  });
+
+  it('should keep recently failing keys when evicting', () => {
+    const { freeAttempts } = config.auth.loginThrottle;
+    const target = loginThrottle.keyForEmail('victim@test.com');
+    for (let i = 0; i < freeAttempts; i++) {
+      loginThrottle.recordFailure(target);
+    }
+    for (let i = 0; i < loginThrottle.MAX_STORE_ENTRIES - 1; i++) {
+      loginThrottle.recordFailure(loginThrottle.keyForEmail(`user${i}@test.com`));
+    }
+    // A new failure moves the locked key to the recent end, so another key is evicted for the next one
+    loginThrottle.recordFailure(target);
+    loginThrottle.recordFailure(loginThrottle.keyForEmail('newest@test.com'));
+
+    expect(() => loginThrottle.assertNotLocked(target)).toThrow('Too many failed login attempts');
+  });
+});
@@ -0,0 +1,42 @@
+// markdown.test.js
+// Rendering and sanitizing of user Markdown (posts: full CommonMark, comments: inline only).
+
+const { renderPostHtml, renderCommentHtml } = require('../../src/utils/markdown');
+
+const REL = 'rel="nofollow noopener noreferrer"';
+
+describe('Markdown rendering', () => {
+  it('should render CommonMark blocks and inline syntax in posts', () => {
+    const html = renderPostHtml('# Title\n\nSome *emphasis* and **bold**.\n\n3. three\n4. four\n\n```js\nif (a < b) {}\n```');
+
+    expect(html).toBe([
+      '<h1>Title</h1>',
+      '<p>Some <em>emphasis</em> and <strong>bold</strong>.</p>',
+      '<ol start="3">\n<li>three</li>\n<li>four</li>\n</ol>',
+      '<pre><code class="language-js">if (a &lt; b) {}\n</code></pre>',
+      '',
+    ].join('\n'));
+  });
+
+  it('should show raw HTML as text', () => {
+    expect(renderPostHtml('<script>alert(1)</script> <b onclick="x()">hi</b>'))
+      .toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt; &lt;b onclick="x()"&gt;hi&lt;/b&gt;</p>\n');
+  });
+
+  it('should mark links nofollow and drop unsafe ones', () => {
+    expect(renderPostHtml('[site](https://example.com "Title")'))
+      .toBe(`<p><a href="https://example.com" title="Title" ${REL}>site</a></p>\n`);
+    expect(renderPostHtml('[x](javascript:alert(1))')).not.toContain('<a');
+    expect(renderPostHtml('[x](//evil.example)')).not.toContain('href');
+  });
+
+  it('should not embed remote images', () => {
+    expect(renderPostHtml('![pixel](https://tracker.example/p.gif)'))
+      .toBe(`<p>!<a href="https://tracker.example/p.gif" ${REL}>pixel</a></p>\n`);
+  });
+
+  it('should render only inline syntax in comments, keeping line breaks', () => {
+    expect(renderCommentHtml('# not a heading\n- not a list\n*yes* `code` [link](http://example.com)'))
+      .toBe(`# not a heading<br />\n- not a list<br />\n<em>yes</em> <code>code</code> <a href="http://example.com" ${REL}>link</a>`);
+  });
+});
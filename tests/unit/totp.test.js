@@ -0,0 +1,30 @@
+// totp.test.js
+// RFC 6238 reference values (Appendix B, SHA-1, truncated to 6 digits).
+
+const totp = require('../../src/utils/totp');
+
+// The RFC's shared secret is the ASCII string "12345678901234567890"
+const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP utility', () => {
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+  ])('should match the RFC 6238 vector at T=%i', (seconds, expected) => {
+    expect(totp.generateTotp(rfcSecret, { timestamp: seconds * 1000 })).toBe(expected);
+  });
+
+  it('should accept codes within one step of drift and return the matching step', () => {
+    const code = totp.generateTotp(rfcSecret, { timestamp: 59 * 1000 });
+
+    expect(totp.verifyTotp(rfcSecret, code, { timestamp: 89 * 1000 })).toBe(1);
+    expect(totp.verifyTotp(rfcSecret, code, { timestamp: 150 * 1000 })).toBeNull();
+  });
+
+  it('should round-trip secrets through base32', () => {
+    const secret = totp.generateSecret();
+    expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+  });
+});